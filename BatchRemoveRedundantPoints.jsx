@@ -0,0 +1,377 @@
+/*
+  BatchRemoveRedundantPoints.jsx
+  A Javascript for Adobe Illustrator
+
+  Purpose:
+  Run RemoveRedundantPoints over every Illustrator document in a folder,
+  without any dialogs or prompts once started.  Each document is opened, all
+  of its paths are processed with the options of a preset, and the result is
+  saved under the same name in an output folder.  The documents in the source
+  folder are never changed.  A tab separated log of the totals for each
+  document, and of any document that could not be processed, is written to
+  the output folder as RemoveRedundantPoints-batch-log.txt.
+
+  The options are those of a preset saved from the RemoveRedundantPoints
+  dialog, or the options it was last run with.  The point selection state is
+  ignored, as every path of each document is processed, and the Select
+  function is not supported.  Annotations and exported results are saved
+  along with each document.
+
+  To Use:
+  Close the documents to be processed.  Run the script, choose the source
+  folder, the output folder and the preset, and click OK.
+
+  RedundantPointsCore.jsxinc and RedundantPointsDocument.jsxinc must be kept
+  in the same folder as this script.
+
+  Rights:
+  This work is licensed under the Creative Commons Attribution 3.0 United States
+  License. To view a copy of this license, visit
+  http://creativecommons.org/licenses/by/3.0/us/
+  or send a letter to Creative Commons, 171 Second Street, Suite 300,
+  San Francisco, California, 94105, USA.
+
+  Version History:
+
+  1.0   261018 Initial release.
+*/
+
+
+//@include "RedundantPointsCore.jsxinc"
+//@include "RedundantPointsDocument.jsxinc"
+
+
+/*******************************************************************************
+ * Function: getBatchSettings
+ * Description:
+ *   Return the settings of the preset named by the first parameter, or the
+ *   settings RemoveRedundantPoints was last run with if it is null.  Returns
+ *   null if the preset cannot be read.
+ */
+function getBatchSettings(presetName){
+        var preferences = readJsonFile(getPreferencesFile());
+        var preset;
+
+        if (presetName == null) {
+                return copyValidSettings(getDefaultSettings(), preferences);
+        }
+        preset = readJsonFile(getPresetFile(getPresetFolder(preferences), presetName));
+        if (preset == null) {
+                return null;
+        }
+        return copyValidSettings(getDefaultSettings(), preset);
+}
+
+
+/*******************************************************************************
+ * Function: isDocumentOpen
+ * Description:
+ *   Return true if the File input as the first parameter is open as a
+ *   document.
+ */
+function isDocumentOpen(docFile){
+        var i = 0;
+
+        for (i=0; i<app.documents.length; i++) {
+                if (app.documents[i].fullName.fsName == docFile.fsName) {
+                        return true;
+                }
+        }
+        return false;
+}
+
+
+/*******************************************************************************
+ * Function: getLogRow
+ * Description:
+ *   Return a tab separated line of the log, starting with the name input as
+ *   the first parameter, followed by the totals of the results object input
+ *   as the second parameter (null for blank totals), and the text input as
+ *   the third parameter.
+ */
+function getLogRow(name, results, text){
+        var totals = Array("totalPaths", "totalPointsWithRedundancy", "totalPointsToRemove",
+                           "totalPointsRemoved", "totalPointsStarting", "totalPointsRemaining",
+                           "totalHandleSetsFailed", "totalSetsRejected", "totalCollinearRemoved", "totalCoincidentGroups", "totalSmallLoopsRemoved",
+                           "totalJoins", "totalDegenerateDeleted");
+        var fields = new Array();
+        var i = 0;
+
+        fields.push(name);
+        for (i=0; i<totals.length; i++) {
+                fields.push((results != null) ? results[totals[i]] : "");
+        }
+        fields.push(text.replace(/[\t\r\n]+/g, " "));
+        return fields.join("\t");
+}
+
+
+/*******************************************************************************
+/*******************************************************************************
+/*******************************************************************************
+* Main code
+*/
+var dlgBatch = new Window('dialog', 'Batch Remove Redundant Points');
+doBatchDialog(dlgBatch);
+
+var exitError;
+var sourceFolder = new Folder(dlgBatch.sourcePnl.editText.text);
+var outputFolder = new Folder(dlgBatch.outputPnl.editText.text);
+var presetName = (dlgBatch.presetPnl.preset.selection.index > 0) ? dlgBatch.presetPnl.preset.selection.text : null;
+var settings = getBatchSettings(presetName);
+
+var docFiles = new Array();
+var docRef = null;
+var results;
+var totals = newResults();
+var exportFile = null;
+var logLines = new Array();
+var logFile;
+var savedCount = 0;
+var failedCount = 0;
+var interactionLevel;
+var property;
+var options;
+var i = 0;
+
+try {
+        if (exitError != 0) {
+                throw("exit");
+        }
+
+        exitError = 99;
+
+        docFiles = sourceFolder.getFiles("*.ai");
+        if (docFiles.length == 0) {
+                exitError = 2;
+                throw("exit");
+        }
+        if (!outputFolder.exists && !outputFolder.create()) {
+                exitError = 3;
+                throw("exit");
+        }
+
+        /* Every path is processed, whatever its selection */
+        settings.selectionState = "ignore";
+        options = getSettingsDescription(settings);
+
+        logLines.push("# Batch Remove Redundant Points " + new Date());
+        logLines.push("# source: " + sourceFolder.fsName);
+        logLines.push("# output: " + outputFolder.fsName);
+        logLines.push("# preset: " + ((presetName != null) ? presetName : "Last Used Settings"));
+        for (property in options) {
+                logLines.push("# " + property + ": " + options[property]);
+        }
+        logLines.push(Array("Document", "Paths processed", "Points with redundancy", "Redundant points to remove",
+                            "Redundant points removed", "Total points starting", "Total points remaining",
+                            "Point sets failing handles", "Point sets rejected for deviation", "Collinear points removed", "Coincident point groups", "Small loops removed",
+                            "Joins made", "Degenerate paths deleted", "Result").join("\t"));
+
+        /* Keep Illustrator from stopping the batch to warn about fonts or links */
+        interactionLevel = app.userInteractionLevel;
+        app.userInteractionLevel = UserInteractionLevel.DONTDISPLAYALERTS;
+
+        for (i=0; i<docFiles.length; i++) {
+                if (!(docFiles[i] instanceof File)) {
+                        continue;
+                }
+                if (isDocumentOpen(docFiles[i])) {
+                        logLines.push(getLogRow(docFiles[i].displayName, null, "Failed: the document is open, close it and run the batch again"));
+                        failedCount++;
+                        continue;
+                }
+
+                docRef = null;
+                try {
+                        docRef = app.open(docFiles[i]);
+
+                        if (settings.annotate) {
+                                removeAnalysisLayers(docRef);
+                        }
+                        results = processPaths(docRef, docGetAllPaths(docRef, settings.includeCompound, settings.includeLocked), settings);
+                        if (results.annotations.length > 0) {
+                                addAnalysisLayer(docRef, results.annotations);
+                        }
+
+                        docRef.saveAs(new File(outputFolder + "/" + docFiles[i].name), new IllustratorSaveOptions());
+
+                        /* Once saved, the results are exported next to the saved document */
+                        exportFile = null;
+                        if (settings.exportFormat != "none") {
+                                exportFile = exportResults(docRef, settings.exportFormat, results.records, options);
+                        }
+
+                        docRef.close(SaveOptions.DONOTSAVECHANGES);
+                        docRef = null;
+
+                        logLines.push(getLogRow(docFiles[i].displayName, results,
+                                                (settings.exportFormat != "none" && exportFile == null) ? "Saved, results not exported" : "Saved"));
+                        totals.totalPaths += results.totalPaths;
+                        totals.totalPointsWithRedundancy += results.totalPointsWithRedundancy;
+                        totals.totalPointsToRemove += results.totalPointsToRemove;
+                        totals.totalPointsRemoved += results.totalPointsRemoved;
+                        totals.totalPointsStarting += results.totalPointsStarting;
+                        totals.totalPointsRemaining += results.totalPointsRemaining;
+                        totals.totalHandleSetsFailed += results.totalHandleSetsFailed;
+                        totals.totalSetsRejected += results.totalSetsRejected;
+                        totals.totalCollinearRemoved += results.totalCollinearRemoved;
+                        totals.totalCoincidentGroups += results.totalCoincidentGroups;
+                        totals.totalSmallLoopsRemoved += results.totalSmallLoopsRemoved;
+                        totals.totalJoins += results.totalJoins;
+                        totals.totalDegenerateDeleted += results.totalDegenerateDeleted;
+                        savedCount++;
+                }
+                catch(er) {
+                        logLines.push(getLogRow(docFiles[i].displayName, null, "Failed: " + er));
+                        failedCount++;
+                        if (docRef != null) {
+                                try {
+                                        docRef.close(SaveOptions.DONOTSAVECHANGES);
+                                }
+                                catch(closeError) {
+                                }
+                        }
+                }
+        }
+
+        app.userInteractionLevel = interactionLevel;
+
+        logLines.push(getLogRow("Total", totals, savedCount + " saved, " + failedCount + " failed"));
+
+        logFile = new File(outputFolder + "/RemoveRedundantPoints-batch-log.txt");
+        logFile.encoding = "UTF-8";
+        if (!logFile.open("w") || !logFile.write(logLines.join("\n") + "\n")) {
+                logFile.close();
+                exitError = 4;
+                throw("exit");
+        }
+        logFile.close();
+
+        alert("Batch Remove Redundant Points\n" +
+              "Documents saved: " + savedCount + "\n" +
+              "Documents failed: " + failedCount + "\n" +
+              "Redundant points removed: " + totals.totalPointsRemoved + "\n" +
+              "Log written to: " + logFile.fsName);
+}
+catch(er)
+{
+        if (interactionLevel != null) {
+                app.userInteractionLevel = interactionLevel;
+        }
+        if (exitError == 2) {
+                alert("No Illustrator documents found in " + sourceFolder.fsName);
+        }
+        if (exitError == 3) {
+                alert("Unable to create the output folder " + outputFolder.fsName + "\n" + outputFolder.error);
+        }
+        if (exitError == 4) {
+                alert("Unable to write the log " + logFile.fsName + "\n" + logFile.error + "\n" +
+                      savedCount + " documents saved, " + failedCount + " failed.");
+        }
+        if (exitError == 99) {
+                alert("ACK! Unexplained error\n" + er);
+        }
+}
+
+/*******************************************************************************
+/*******************************************************************************
+* Dialog Code
+*/
+
+/*******************************************************************************
+ * Function: doBatchDialog
+ */
+function doBatchDialog(dlgBatch) {
+        var presetNames = getPresetNames(getPresetFolder(readJsonFile(getPreferencesFile())));
+        var i = 0;
+
+        /* Add edit boxes and buttons to choose the folders */
+        dlgBatch.sourcePnl = dlgBatch.add('panel', undefined, 'Source Folder:');
+        (dlgBatch.sourcePnl.editText = dlgBatch.sourcePnl.add('edittext', undefined, '')).helpTip="The folder holding the Illustrator documents to process.  They are not changed.";
+        dlgBatch.sourcePnl.editText.characters = 40;
+        dlgBatch.sourcePnl.browseBtn = dlgBatch.sourcePnl.add('button', undefined, 'Browse...');
+        dlgBatch.sourcePnl.orientation='row';
+        dlgBatch.sourcePnl.browseBtn.onClick = sourceBrowseClicked;
+
+        dlgBatch.outputPnl = dlgBatch.add('panel', undefined, 'Output Folder:');
+        (dlgBatch.outputPnl.editText = dlgBatch.outputPnl.add('edittext', undefined, '')).helpTip="The folder the processed documents, any exported results and the log are saved to.";
+        dlgBatch.outputPnl.editText.characters = 40;
+        dlgBatch.outputPnl.browseBtn = dlgBatch.outputPnl.add('button', undefined, 'Browse...');
+        dlgBatch.outputPnl.orientation='row';
+        dlgBatch.outputPnl.browseBtn.onClick = outputBrowseClicked;
+
+        /* Add a dropdown to choose the preset */
+        dlgBatch.presetPnl = dlgBatch.add('panel', undefined, 'Preset:');
+        (dlgBatch.presetPnl.preset = dlgBatch.presetPnl.add('dropdownlist', undefined, ['Last Used Settings'])).helpTip="The RemoveRedundantPoints options to process each document with.";
+        for (i=0; i<presetNames.length; i++) {
+                dlgBatch.presetPnl.preset.add('item', presetNames[i]);
+        }
+        dlgBatch.presetPnl.preset.selection = 0;
+        dlgBatch.presetPnl.alignChildren='fill';
+
+        /* Add execution buttons */
+        dlgBatch.executeGrp = dlgBatch.add('group', undefined, 'Execute:');
+        dlgBatch.executeGrp.orientation='row';
+        dlgBatch.executeGrp.buildBtn1= dlgBatch.executeGrp.add('button',undefined, 'Cancel', {name:'cancel'});
+        dlgBatch.executeGrp.buildBtn2 = dlgBatch.executeGrp.add('button', undefined, 'OK', {name:'ok'});
+        dlgBatch.executeGrp.buildBtn1.onClick= batchActionCanceled;
+        dlgBatch.executeGrp.buildBtn2.onClick= batchActionOk;
+
+        dlgBatch.frameLocation = [100, 100];
+        dlgBatch.alignChildren='fill';
+        dlgBatch.show();
+
+        return dlgBatch;
+}
+
+function sourceBrowseClicked() {
+        var folder = Folder.selectDialog("Choose the folder of documents to process:");
+
+        if (folder != null) {
+                dlgBatch.sourcePnl.editText.text = folder.fsName;
+        }
+}
+
+function outputBrowseClicked() {
+        var folder = Folder.selectDialog("Choose the folder to save the processed documents to:");
+
+        if (folder != null) {
+                dlgBatch.outputPnl.editText.text = folder.fsName;
+        }
+}
+
+function batchActionCanceled() {
+        exitError = 1;
+        dlgBatch.hide();
+}
+
+function batchActionOk() {
+        var sourceFolder = new Folder(dlgBatch.sourcePnl.editText.text);
+        var outputFolder = new Folder(dlgBatch.outputPnl.editText.text);
+        var selection = dlgBatch.presetPnl.preset.selection;
+        var settings = getBatchSettings((selection.index > 0) ? selection.text : null);
+
+        exitError = 0;
+
+        if (dlgBatch.sourcePnl.editText.text == "" || !sourceFolder.exists) {
+                alert("Choose a source folder.");
+                return;
+        }
+        if (dlgBatch.outputPnl.editText.text == "") {
+                alert("Choose an output folder.");
+                return;
+        }
+        if (outputFolder.fsName == sourceFolder.fsName) {
+                alert("Choose an output folder other than the source folder, so the original documents are kept.");
+                return;
+        }
+        if (settings == null) {
+                alert("Unable to read the preset '" + selection.text + "'.");
+                return;
+        }
+        if (settings["function"] == "select") {
+                alert("Select function not supported in a batch.  Choose a preset with another function.");
+                return;
+        }
+        dlgBatch.hide();
+}
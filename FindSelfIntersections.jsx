@@ -0,0 +1,265 @@
+/*
+  FindSelfIntersections.jsx
+  A Javascript for Adobe Illustrator
+
+  Purpose:
+  Find the paths that cross or touch themselves, such as polygons that fail
+  validation when the artwork is handed on to GIS software.  The crossings
+  are found along the curves themselves, not just between the anchors: each
+  curved segment is followed along short straight pieces, and each crossing
+  found on them is refined onto the curves.  The paths of a compound path
+  are each checked on their own; crossings between them are not counted.
+
+  The number of crossings of each path is listed in the results.  The
+  segments through each crossing can also be selected, or each crossing
+  marked on a locked 'Redundant Points Analysis' layer.
+
+  To Use:
+  Select the paths to check, or select nothing to check every path in the
+  document.  Run the script, choose the action and the options, and click
+  OK.
+
+  RedundantPointsCore.jsxinc and RedundantPointsDocument.jsxinc must be kept
+  in the same folder as this script.
+
+  Rights:
+  This work is licensed under the Creative Commons Attribution 3.0 United States
+  License. To view a copy of this license, visit
+  http://creativecommons.org/licenses/by/3.0/us/
+  or send a letter to Creative Commons, 171 Second Street, Suite 300,
+  San Francisco, California, 94105, USA.
+
+  Version History:
+
+  1.0   261018 Initial release.
+*/
+
+
+//@include "RedundantPointsCore.jsxinc"
+//@include "RedundantPointsDocument.jsxinc"
+
+
+/*******************************************************************************
+ * Function: selectCrossingSegments
+ * Description:
+ *   Select the segments through each crossing of the path input as the first
+ *   parameter, as returned from findSelfIntersections() (second parameter),
+ *   by selecting the anchors at both ends of them.  The other points of the
+ *   path are deselected.
+ */
+function selectCrossingSegments(path, crossings){
+        var count = path.pathPoints.length;
+        var i = 0;
+
+        for (i=0; i<count; i++) {
+                path.pathPoints[i].selected = PathPointSelection.NOSELECTION;
+        }
+        for (i=0; i<crossings.length; i++) {
+                path.pathPoints[crossings[i].segmentA].selected = PathPointSelection.ANCHORPOINT;
+                path.pathPoints[(crossings[i].segmentA+1) % count].selected = PathPointSelection.ANCHORPOINT;
+                path.pathPoints[crossings[i].segmentB].selected = PathPointSelection.ANCHORPOINT;
+                path.pathPoints[(crossings[i].segmentB+1) % count].selected = PathPointSelection.ANCHORPOINT;
+        }
+}
+
+
+/*******************************************************************************
+/*******************************************************************************
+/*******************************************************************************
+* Main code
+*/
+var dlgIntersections = new Window('dialog', 'Self-Intersections');
+doIntersectionsDialog(dlgIntersections);
+
+var exitError;
+var doSelect = dlgIntersections.actionPnl.doSelect.value;
+var doAnnotate = dlgIntersections.actionPnl.doAnnotate.value;
+var includeCompound = dlgIntersections.optionPnl.includeCompound.value;
+var includeLocked = dlgIntersections.optionPnl.includeLocked.value;
+
+var docRef = app.activeDocument;
+var allPaths = new Array();
+var paths = new Array();
+var crossings;
+var annotations = new Array();
+var reportLines = new Array();
+var totalPathsCrossing = 0;
+var totalCrossings = 0;
+var i = 0;
+var j = 0;
+
+try {
+        if (exitError != 0) {
+                throw("exit");
+        }
+
+        exitError = 99;
+
+        if (doSelect && includeLocked) {
+                exitError = 2;
+                throw("exit");
+        }
+
+        if (docRef.selection.length > 0) {
+                allPaths = docGetSelectedPaths(docRef, includeCompound, includeLocked);
+        }
+        else if (confirm("Run script for all paths in document?")) {
+                allPaths = docGetAllPaths(docRef, includeCompound, includeLocked);
+        }
+        for (i=0; i<allPaths.length; i++) {
+                if (!isAnalysisPath(allPaths[i])) {
+                        paths.push(allPaths[i]);
+                }
+        }
+
+        if (doAnnotate) {
+                removeAnalysisLayers(docRef);
+        }
+        if (doSelect) {
+                docRef.selection = null;
+        }
+
+        for (i=0; i<paths.length; i++) {
+                crossings = findSelfIntersections(getPathPoints(paths[i]), paths[i].closed);
+                if (crossings.length == 0) {
+                        continue;
+                }
+                totalPathsCrossing++;
+                totalCrossings += crossings.length;
+                reportLines.push(getPathDescription(paths[i]) + ": " + crossings.length);
+
+                if (doSelect) {
+                        selectCrossingSegments(paths[i], crossings);
+                }
+                if (doAnnotate) {
+                        for (j=0; j<crossings.length; j++) {
+                                annotations.push({
+                                        center: crossings[j].pair,
+                                        length: 2,
+                                        name: "Self-intersection",
+                                        note: "Self-intersection of " + getPathDescription(paths[i]) + " between segments " +
+                                              crossings[j].segmentA + " and " + crossings[j].segmentB
+                                });
+                        }
+                }
+        }
+
+        if (annotations.length > 0) {
+                addAnalysisLayer(docRef, annotations);
+        }
+
+        exitError = 0;
+        var dlgResults = new Window('dialog', 'Self-Intersections');
+        doIntersectionsResultsDialog(dlgResults, paths.length, totalPathsCrossing, totalCrossings, reportLines);
+}
+catch(er)
+{
+        if (exitError == 2) {
+                alert("Select action not supported in conjunction with 'Include Locked Items' option.");
+        }
+        if (exitError == 99) {
+                alert("ACK! Unexplained error\n" + er);
+        }
+}
+
+/*******************************************************************************
+/*******************************************************************************
+* Dialog Code
+*/
+
+/*******************************************************************************
+ * Function: doIntersectionsDialog
+ */
+function doIntersectionsDialog(dlgIntersections) {
+        var settings = copyValidSettings(getDefaultSettings(), readJsonFile(getPreferencesFile()));
+
+        /* Add radio buttons to choose what is done with the crossings */
+        dlgIntersections.actionPnl = dlgIntersections.add('panel', undefined, 'Action:');
+        (dlgIntersections.actionPnl.doReport = dlgIntersections.actionPnl.add('radiobutton', undefined, 'Report')).helpTip="Only list the number of crossings of each path.";
+        (dlgIntersections.actionPnl.doSelect = dlgIntersections.actionPnl.add('radiobutton', undefined, 'Select Segments')).helpTip="Also select the segments through each crossing.";
+        (dlgIntersections.actionPnl.doAnnotate = dlgIntersections.actionPnl.add('radiobutton', undefined, 'Mark Crossings')).helpTip="Also mark each crossing on a locked 'Redundant Points Analysis' layer, replacing the markers of any earlier run.";
+        dlgIntersections.actionPnl.doReport.value = true;
+        dlgIntersections.actionPnl.orientation='row';
+
+        /* Add checkboxes to control options */
+        dlgIntersections.optionPnl = dlgIntersections.add('panel', undefined, 'Other Options:');
+        (dlgIntersections.optionPnl.includeCompound = dlgIntersections.optionPnl.add('checkbox', undefined, 'Include Compound Path Items?')).helpTip="Check the paths of compound path items, each on its own.";
+        (dlgIntersections.optionPnl.includeLocked = dlgIntersections.optionPnl.add('checkbox', undefined, 'Include Locked Items?')).helpTip="Check locked items or items in locked layers.";
+        dlgIntersections.optionPnl.includeCompound.value = settings.includeCompound;
+        dlgIntersections.optionPnl.includeLocked.value = settings.includeLocked;
+        dlgIntersections.optionPnl.alignChildren='left';
+        dlgIntersections.optionPnl.orientation='column';
+
+        /* Add execution buttons */
+        dlgIntersections.executeGrp = dlgIntersections.add('group', undefined, 'Execute:');
+        dlgIntersections.executeGrp.orientation='row';
+        dlgIntersections.executeGrp.buildBtn1= dlgIntersections.executeGrp.add('button',undefined, 'Cancel', {name:'cancel'});
+        dlgIntersections.executeGrp.buildBtn2 = dlgIntersections.executeGrp.add('button', undefined, 'OK', {name:'ok'});
+        dlgIntersections.executeGrp.buildBtn1.onClick= intersectionsActionCanceled;
+        dlgIntersections.executeGrp.buildBtn2.onClick= intersectionsActionOk;
+
+        dlgIntersections.frameLocation = [100, 100];
+        dlgIntersections.alignChildren='fill';
+        dlgIntersections.show();
+
+        return dlgIntersections;
+}
+
+function intersectionsActionCanceled() {
+        exitError = 1;
+        dlgIntersections.hide();
+}
+
+function intersectionsActionOk() {
+        exitError = 0;
+        dlgIntersections.hide();
+}
+
+/*******************************************************************************
+ * Function: doIntersectionsResultsDialog
+ */
+function doIntersectionsResultsDialog(dlgResults, totalPaths, totalPathsCrossing, totalCrossings, reportLines) {
+
+        /* Add static text to display results */
+        dlgResults.resultsPnl = dlgResults.add('panel', undefined, 'Results:');
+        dlgResults.resultsPnl.totalPaths = dlgResults.resultsPnl.add('group');
+        dlgResults.resultsPnl.totalPaths.txt = dlgResults.resultsPnl.totalPaths.add('statictext', undefined, 'Paths checked: ');
+        dlgResults.resultsPnl.totalPaths.txt.alignment = 'right';
+        dlgResults.resultsPnl.totalPaths.val = dlgResults.resultsPnl.totalPaths.add('statictext', undefined, totalPaths);
+        dlgResults.resultsPnl.totalPaths.val.characters = 10;
+        dlgResults.resultsPnl.totalPaths.val.helpTip = "The number of paths checked.";
+        dlgResults.resultsPnl.totalPathsCrossing = dlgResults.resultsPnl.add('group');
+        dlgResults.resultsPnl.totalPathsCrossing.txt = dlgResults.resultsPnl.totalPathsCrossing.add('statictext', undefined, 'Paths crossing themselves: ');
+        dlgResults.resultsPnl.totalPathsCrossing.txt.alignment = 'right';
+        dlgResults.resultsPnl.totalPathsCrossing.val = dlgResults.resultsPnl.totalPathsCrossing.add('statictext', undefined, totalPathsCrossing);
+        dlgResults.resultsPnl.totalPathsCrossing.val.characters = 10;
+        dlgResults.resultsPnl.totalPathsCrossing.val.helpTip = "The number of paths that cross or touch themselves at least once.";
+        dlgResults.resultsPnl.totalCrossings = dlgResults.resultsPnl.add('group');
+        dlgResults.resultsPnl.totalCrossings.txt = dlgResults.resultsPnl.totalCrossings.add('statictext', undefined, 'Crossings found: ');
+        dlgResults.resultsPnl.totalCrossings.txt.alignment = 'right';
+        dlgResults.resultsPnl.totalCrossings.val = dlgResults.resultsPnl.totalCrossings.add('statictext', undefined, totalCrossings);
+        dlgResults.resultsPnl.totalCrossings.val.characters = 10;
+        dlgResults.resultsPnl.totalCrossings.val.helpTip = "The number of places where a path crosses or touches itself, over all paths.";
+        dlgResults.resultsPnl.alignChildren='right';
+        dlgResults.resultsPnl.orientation='column';
+
+        /* List the crossings of each path, in a box that can be copied from */
+        if (reportLines.length > 0) {
+                dlgResults.pathsPnl = dlgResults.add('panel', undefined, 'Crossings per Path:');
+                dlgResults.pathsPnl.list = dlgResults.pathsPnl.add('edittext', [0, 0, 400, 160], reportLines.join("\n"), {multiline:true, readonly:true, scrolling:true});
+        }
+
+        /* Add execution buttons */
+        dlgResults.executeGrp = dlgResults.add('group', undefined, 'Execute:');
+        dlgResults.executeGrp.orientation='row';
+        dlgResults.executeGrp.buildBtn1= dlgResults.executeGrp.add('button',undefined, 'OK', {name:'ok'});
+        dlgResults.executeGrp.buildBtn1.onClick= intersectionsResultsOk;
+
+        dlgResults.frameLocation = [100, 100];
+        dlgResults.alignChildren='fill';
+        dlgResults.show();
+}
+
+function intersectionsResultsOk() {
+        dlgResults.hide();
+}
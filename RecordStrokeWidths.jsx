@@ -0,0 +1,86 @@
+/*
+  RecordStrokeWidths.jsx
+  A Javascript for Adobe Illustrator
+
+  Purpose:
+  Record the stroke width of each path in a tag saved with the document,
+  before the strokes are outlined with Outline Stroke.  The outline left by
+  Outline Stroke is filled rather than stroked, so the width of the line it
+  came from is otherwise lost.  RemoveRedundantPoints.jsx reads the width
+  back in its Stroke Width tolerance mode, scaling the tolerance of each
+  outline to the line it came from.  The width of a compound path is
+  recorded on the compound path.
+
+  To Use:
+  Select the stroked paths, or select nothing to record the width of every
+  stroked path in the document, and run the script.  Then outline the
+  strokes.  Running the script again replaces the widths recorded before.
+
+  RedundantPointsCore.jsxinc and RedundantPointsDocument.jsxinc must be kept
+  in the same folder as this script.
+
+  Rights:
+  This work is licensed under the Creative Commons Attribution 3.0 United States
+  License. To view a copy of this license, visit
+  http://creativecommons.org/licenses/by/3.0/us/
+  or send a letter to Creative Commons, 171 Second Street, Suite 300,
+  San Francisco, California, 94105, USA.
+
+  Version History:
+
+  1.0   261018 Initial release.
+*/
+
+
+//@include "RedundantPointsCore.jsxinc"
+//@include "RedundantPointsDocument.jsxinc"
+
+
+/*******************************************************************************
+/*******************************************************************************
+/*******************************************************************************
+* Main code
+*/
+var exitError;
+var docRef = app.activeDocument;
+var paths = new Array();
+var totalPathsRecorded = 0;
+var totalPathsUnstroked = 0;
+var i = 0;
+
+try {
+        exitError = 99;
+
+        if (docRef.selection.length > 0) {
+                paths = docGetSelectedPaths(docRef, true, false);
+        }
+        else if (confirm("Record the stroke widths of all paths in document?")) {
+                paths = docGetAllPaths(docRef, true, false);
+        }
+        else {
+                exitError = 1;
+                throw("exit");
+        }
+
+        for (i=0; i<paths.length; i++) {
+                if (isAnalysisPath(paths[i])) {
+                        continue;
+                }
+                if (recordStrokeWidth(paths[i])) {
+                        totalPathsRecorded++;
+                }
+                else {
+                        totalPathsUnstroked++;
+                }
+        }
+
+        exitError = 0;
+        alert("Stroke widths recorded: " + totalPathsRecorded +
+              ((totalPathsUnstroked > 0) ? "\nPaths without a stroke: " + totalPathsUnstroked : ""));
+}
+catch(er)
+{
+        if (exitError == 99) {
+                alert("ACK! Unexplained error\n" + er);
+        }
+}
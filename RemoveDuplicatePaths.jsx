@@ -0,0 +1,295 @@
+/*
+  RemoveDuplicatePaths.jsx
+  A Javascript for Adobe Illustrator
+
+  Purpose:
+  Find paths drawn more than once in a document, such as a road or boundary
+  stacked on top of itself when map files from several sources are combined.
+  A path is a duplicate of another when each of its anchors is within the
+  tolerance of the matching anchor of the other.  Paths match whichever way
+  they run, and closed paths match from any start point.  Direction handles
+  are not compared.
+
+  Of each group of duplicates one path is kept: the topmost, or the topmost
+  on a chosen layer (or one of its sublayers) when the group has a path
+  there.  The others are selected, annotated on a locked 'Redundant Points
+  Analysis' layer, or deleted.
+
+  To Use:
+  Run the script, choose the tolerance, the action, the path to keep and the
+  options, and click OK.  Every path in the document is compared, whatever
+  is selected.  The tolerance starts at the one RemoveRedundantPoints was last
+  run with.
+
+  RedundantPointsCore.jsxinc and RedundantPointsDocument.jsxinc must be kept
+  in the same folder as this script.
+
+  Rights:
+  This work is licensed under the Creative Commons Attribution 3.0 United States
+  License. To view a copy of this license, visit
+  http://creativecommons.org/licenses/by/3.0/us/
+  or send a letter to Creative Commons, 171 Second Street, Suite 300,
+  San Francisco, California, 94105, USA.
+
+  Version History:
+
+  1.0   261018 Initial release.
+*/
+
+
+//@include "RedundantPointsCore.jsxinc"
+//@include "RedundantPointsDocument.jsxinc"
+
+
+/*******************************************************************************
+ * Function: isPathOnLayer
+ * Description:
+ *   Return true if the path input as the first parameter is on the top level
+ *   layer named by the second parameter, or on one of its sublayers.
+ */
+function isPathOnLayer(path, layerName){
+        var layerPath = getLayerPath(path);
+
+        return (layerPath == layerName || layerPath.indexOf(layerName + "/") == 0);
+}
+
+
+/*******************************************************************************
+ * Function: getKeptPath
+ * Description:
+ *   Return the index, in the group of duplicate paths input as the first
+ *   parameter (topmost first), of the path to keep: the topmost on the layer
+ *   named by the second parameter, or the topmost if it is null or the group
+ *   has no path on that layer.
+ */
+function getKeptPath(group, layerName){
+        var i = 0;
+
+        if (layerName != null) {
+                for (i=0; i<group.length; i++) {
+                        if (isPathOnLayer(group[i], layerName)) {
+                                return i;
+                        }
+                }
+        }
+        return 0;
+}
+
+
+/*******************************************************************************
+/*******************************************************************************
+/*******************************************************************************
+* Main code
+*/
+var dlgDuplicates = new Window('dialog', 'Duplicate Paths');
+doDuplicatesDialog(dlgDuplicates);
+
+var exitError;
+var tolerance = dlgDuplicates.tolerancePnl.validValue;
+var doSelect = dlgDuplicates.actionPnl.doSelect.value;
+var doAnnotate = dlgDuplicates.actionPnl.doAnnotate.value;
+var doDelete = dlgDuplicates.actionPnl.doDelete.value;
+var keepLayerName = dlgDuplicates.keepPnl.keepOnLayer.value ? dlgDuplicates.keepPnl.layer.selection.text : null;
+var includeCompound = dlgDuplicates.optionPnl.includeCompound.value;
+var includeLocked = dlgDuplicates.optionPnl.includeLocked.value;
+
+var docRef = app.activeDocument;
+var allPaths = new Array();
+var paths = new Array();
+var pathRecords = new Array();
+var groups = new Array();
+var group;
+var kept = 0;
+var duplicates;
+var annotations = new Array();
+var totalDuplicates = 0;
+var totalDeleted = 0;
+var i = 0;
+var j = 0;
+
+try {
+        if (exitError != 0) {
+                throw("exit");
+        }
+
+        exitError = 99;
+
+        if (doSelect && includeLocked) {
+                exitError = 2;
+                throw("exit");
+        }
+
+        if (doAnnotate) {
+                removeAnalysisLayers(docRef);
+        }
+
+        allPaths = docGetAllPaths(docRef, includeCompound, includeLocked);
+        for (i=0; i<allPaths.length; i++) {
+                if (!isAnalysisPath(allPaths[i])) {
+                        paths.push(allPaths[i]);
+                        pathRecords.push({ points: getPathPoints(allPaths[i]), closed: allPaths[i].closed });
+                }
+        }
+
+        groups = findDuplicatePaths(pathRecords, tolerance);
+
+        if (doSelect) {
+                docRef.selection = null;
+        }
+
+        /* Paths are in stacking order, so each group lists the topmost first */
+        for (i=0; i<groups.length; i++) {
+                group = new Array();
+                for (j=0; j<groups[i].length; j++) {
+                        group.push(paths[groups[i][j]]);
+                }
+                kept = getKeptPath(group, keepLayerName);
+                duplicates = new Array();
+                for (j=0; j<group.length; j++) {
+                        if (j != kept) {
+                                duplicates.push(getPathDescription(group[j]));
+                        }
+                }
+                totalDuplicates += duplicates.length;
+
+                if (doAnnotate) {
+                        annotations.push({
+                                center: getPointSetCenter(pathRecords[groups[i][kept]].points, [0]),
+                                length: group.length,
+                                name: group.length + " duplicate paths",
+                                note: "Duplicates of " + getPathDescription(group[kept]) + ": " + duplicates.join(", ")
+                        });
+                }
+
+                for (j=0; j<group.length; j++) {
+                        if (j == kept) {
+                                continue;
+                        }
+                        if (doSelect) {
+                                group[j].selected = true;
+                        }
+                        if (doDelete) {
+                                removePath(group[j]);
+                                totalDeleted++;
+                        }
+                }
+        }
+
+        if (annotations.length > 0) {
+                addAnalysisLayer(docRef, annotations);
+        }
+
+        exitError = 0;
+        alert("Duplicate Paths\n" +
+              "Paths compared: " + paths.length + "\n" +
+              "Groups of duplicate paths: " + groups.length + "\n" +
+              "Duplicate paths found: " + totalDuplicates +
+              (doDelete ? "\nDuplicate paths deleted: " + totalDeleted : "") +
+              (doSelect ? "\nDuplicate paths selected: " + totalDuplicates : "") +
+              "\nTolerance applied (in PostScript points): " + tolerance);
+}
+catch(er)
+{
+        if (exitError == 2) {
+                alert("Select action not supported in conjunction with 'Include Locked Items' option.");
+        }
+        if (exitError == 99) {
+                alert("ACK! Unexplained error\n" + er);
+        }
+}
+
+/*******************************************************************************
+/*******************************************************************************
+* Dialog Code
+*/
+
+/*******************************************************************************
+ * Function: doDuplicatesDialog
+ */
+function doDuplicatesDialog(dlgDuplicates) {
+        var settings = copyValidSettings(getDefaultSettings(), readJsonFile(getPreferencesFile()));
+        var docRef = app.activeDocument;
+        var i = 0;
+
+        /* Add an edit box for the tolerance */
+        dlgDuplicates.tolerancePnl = dlgDuplicates.add('panel', undefined, 'Tolerance (in PostScript points):');
+        (dlgDuplicates.tolerancePnl.editText = dlgDuplicates.tolerancePnl.add('edittext', undefined, settings.tolerance)).helpTip="Enter how far apart the matching anchors of two paths may be for them to be duplicates.  A length in pt, px, mm, cm or in, or a simple expression such as 1/72 in, can be entered.";
+        dlgDuplicates.tolerancePnl.validValue = settings.tolerance;
+        dlgDuplicates.tolerancePnl.editText.characters = 5;
+        dlgDuplicates.tolerancePnl.editText.onChange = duplicatesToleranceChanged;
+
+        /* Add radio buttons to choose what is done with the duplicates */
+        dlgDuplicates.actionPnl = dlgDuplicates.add('panel', undefined, 'Action:');
+        (dlgDuplicates.actionPnl.doSelect = dlgDuplicates.actionPnl.add('radiobutton', undefined, 'Select')).helpTip="Select the duplicate paths, leaving the kept ones unselected.";
+        (dlgDuplicates.actionPnl.doAnnotate = dlgDuplicates.actionPnl.add('radiobutton', undefined, 'Annotate')).helpTip="Mark each group of duplicate paths on a locked 'Redundant Points Analysis' layer, replacing the markers of any earlier run.";
+        (dlgDuplicates.actionPnl.doDelete = dlgDuplicates.actionPnl.add('radiobutton', undefined, 'Delete')).helpTip="Delete the duplicate paths, leaving the kept ones.";
+        dlgDuplicates.actionPnl.doSelect.value = true;
+        dlgDuplicates.actionPnl.orientation='row';
+
+        /* Add radio buttons and a dropdown to choose the path to keep */
+        dlgDuplicates.keepPnl = dlgDuplicates.add('panel', undefined, 'Keep:');
+        (dlgDuplicates.keepPnl.keepTopmost = dlgDuplicates.keepPnl.add('radiobutton', undefined, 'Topmost')).helpTip="Keep the topmost path of each group.";
+        (dlgDuplicates.keepPnl.keepOnLayer = dlgDuplicates.keepPnl.add('radiobutton', undefined, 'On Layer:')).helpTip="Keep the topmost path of each group on the chosen layer or its sublayers, or the topmost path if none is.";
+        dlgDuplicates.keepPnl.layer = dlgDuplicates.keepPnl.add('dropdownlist', undefined, []);
+        for (i=0; i<docRef.layers.length; i++) {
+                if (docRef.layers[i].name != "Redundant Points Analysis") {
+                        dlgDuplicates.keepPnl.layer.add('item', docRef.layers[i].name);
+                }
+        }
+        if (dlgDuplicates.keepPnl.layer.items.length > 0) {
+                dlgDuplicates.keepPnl.layer.selection = 0;
+        }
+        dlgDuplicates.keepPnl.keepTopmost.value = true;
+        dlgDuplicates.keepPnl.orientation='row';
+
+        /* Add checkboxes to control options */
+        dlgDuplicates.optionPnl = dlgDuplicates.add('panel', undefined, 'Other Options:');
+        (dlgDuplicates.optionPnl.includeCompound = dlgDuplicates.optionPnl.add('checkbox', undefined, 'Include Compound Path Items?')).helpTip="Compare the paths of compound path items.";
+        (dlgDuplicates.optionPnl.includeLocked = dlgDuplicates.optionPnl.add('checkbox', undefined, 'Include Locked Items?')).helpTip="Compare locked items or items in locked layers.  They are unlocked to be deleted.";
+        dlgDuplicates.optionPnl.includeCompound.value = settings.includeCompound;
+        dlgDuplicates.optionPnl.includeLocked.value = settings.includeLocked;
+        dlgDuplicates.optionPnl.alignChildren='left';
+        dlgDuplicates.optionPnl.orientation='column';
+
+        /* Add execution buttons */
+        dlgDuplicates.executeGrp = dlgDuplicates.add('group', undefined, 'Execute:');
+        dlgDuplicates.executeGrp.orientation='row';
+        dlgDuplicates.executeGrp.buildBtn1= dlgDuplicates.executeGrp.add('button',undefined, 'Cancel', {name:'cancel'});
+        dlgDuplicates.executeGrp.buildBtn2 = dlgDuplicates.executeGrp.add('button', undefined, 'OK', {name:'ok'});
+        dlgDuplicates.executeGrp.buildBtn1.onClick= duplicatesActionCanceled;
+        dlgDuplicates.executeGrp.buildBtn2.onClick= duplicatesActionOk;
+
+        dlgDuplicates.frameLocation = [100, 100];
+        dlgDuplicates.alignChildren='fill';
+        dlgDuplicates.show();
+
+        return dlgDuplicates;
+}
+
+function duplicatesToleranceChanged() {
+        var length = parseLength(dlgDuplicates.tolerancePnl.editText.text, "pt");
+
+        /* Put back the last tolerance that could be read */
+        if (length.error != null) {
+                alert(length.error);
+                dlgDuplicates.tolerancePnl.editText.text = dlgDuplicates.tolerancePnl.validValue;
+                return;
+        }
+        dlgDuplicates.tolerancePnl.validValue = Math.round(Math.min(Math.max(length.value, 0), 5000) * 10000) / 10000;
+        dlgDuplicates.tolerancePnl.editText.text = dlgDuplicates.tolerancePnl.validValue;
+}
+
+function duplicatesActionCanceled() {
+        exitError = 1;
+        dlgDuplicates.hide();
+}
+
+function duplicatesActionOk() {
+        exitError = 0;
+
+        if (dlgDuplicates.keepPnl.keepOnLayer.value && dlgDuplicates.keepPnl.layer.selection == null) {
+                alert("Choose the layer to keep paths on.");
+                return;
+        }
+        dlgDuplicates.hide();
+}
@@ -9,6 +9,9 @@
   Purpose:
   Remove anchorpoints on selected path that are coincident in location.
   Finds and optionally removes redundant points from each selected PathItem.
+  Optionally also finds points lying on a straight line between their
+  neighbors.  The Simplify function instead thins dense straight segment
+  linework to a distance or area tolerance.
   Useful for cleaning up after Offset Path and Outline Stroke commands in CS3.
 
   To Use:
@@ -16,6 +19,12 @@
   selected, the script will run for all paths in the document that are not
   locked. Run the script.
 
+  The point finding and handle reconstruction logic lives in
+  RedundantPointsCore.jsxinc, and the processing of document paths in
+  RedundantPointsDocument.jsxinc, which must both be kept in the same folder
+  as this script.  BatchRemoveRedundantPoints.jsx runs the same processing
+  over a folder of documents.
+
   Rights:
   This work is licensed under the Creative Commons Attribution 3.0 United States
   License. To view a copy of this license, visit
@@ -24,6 +33,152 @@
   San Francisco, California, 94105, USA.
 
   Version History:
+  1.33  261018 Redraw the preview while the tolerance slider is dragged, at
+  most four times a second, rather than only once it is released.
+
+  1.32  261018 Keep the original points of the last ten runs only on each
+  path, removing older ones, so a path cleaned again and again does not pile
+  up tags.  The note on stored points is left out of the results of
+  tools/pathclean.js, whose SVG output does not keep them.
+
+  1.31  261018 Leave the redundant point sets that Limit Curve Deviation keeps
+  out of the preview, the counts of redundant sets and points to remove, the
+  exported results and the annotations.  The preview is redrawn when the
+  deviation options change.
+
+  1.30  261018 Only look for redundant points across the start of a path when
+  the path is closed.  An open path whose ends meet no longer loses its first
+  point as redundant with its last.
+
+  1.29  261018 Move the Shape Fidelity options and Refit Handles into the
+  collapsible Advanced panel, to shorten the dialog.  The panel opens by
+  itself when a preset or the settings of the last run turn either on.
+
+  1.28  261018 Add a Refit Handles removal option.  Once a redundant point set
+  is rebuilt, the lengths of the handles of the points kept and the facing
+  handles of its neighbors are fitted by least squares to samples of the
+  original segments, keeping each handle's angle.  A fit that strays farther
+  from the original curve than the handles built is not used.
+
+  1.27  261018 Add a Shape Fidelity option.  Before a redundant point set is
+  rebuilt, the curve through it and the points either side is compared with
+  the rebuilt one, and the set is left as it was if they are farther apart
+  than the maximum deviation.  The sets left are counted in the results, and
+  the Analyze function counts the sets it would leave.
+
+  1.26  261018 Add an Advanced panel, shown with its checkbox, for the
+  constants that were fixed in the code: the angle bias and lengths of the
+  handles rebuilt when keeping several points, the angle within which a kept
+  point is smooth, the length below which its handles are retracted, and the
+  rounding of anchor distances.  Each is checked against its range, saved
+  with the other settings and presets, and has its own Reset button.
+
+  1.25  261018 Add a Compare Handles option.  Coincident points are only
+  merged when the direction handles dropped by the merge are retracted or
+  end within a handle tolerance of the handles kept, so points carrying
+  different curves are no longer merged into one that changes the curve.
+  Sets that fail are split where their handles disagree, or skipped, and
+  counted in the results.
+
+  1.24  261018 Add a Tolerance Mode.  Besides a fixed tolerance, each path
+  can get a percentage of the diagonal of its bounding box, or a multiple of
+  its stroke width, so hairlines and thick outlines in one document are
+  cleaned alike.  Outlined strokes use the width recorded on them by the new
+  RecordStrokeWidths.jsx script before Outline Stroke.  The range of
+  tolerances applied is shown in the results, and the tolerance of each
+  path in the exported results.
+
+  1.23  261018 Enter the tolerance in pt, px, mm, cm or in, with numbers
+  without a unit taken in the document's ruler units.  Simple expressions
+  such as 1/72 in are accepted, and a tolerance that cannot be read is
+  reported instead of silently becoming NaN.  Settings and presets still
+  hold the tolerance in PostScript points.
+
+  1.22  261018 Add a Small Loops option, finding the loops a path forms
+  where it crosses itself, such as those Offset Path leaves on the inside of
+  tight curves (the oxbow problem), with an area or perimeter below a
+  threshold.  The Remove function cuts them out, splitting the segments
+  through the crossing and placing a corner point on it, so the rest of the
+  path keeps its shape.  Curved segments are followed closely enough to
+  place the point on the curves themselves.
+
+  1.21  261018 Add a Degenerate Paths option, finding paths left with a
+  single point, with all of their points coincident, or closed but enclosing
+  no area, including the paths of compound paths.  They are counted in the
+  results and annotated, and can be deleted by the Remove and Simplify
+  functions.  The Analyze function counts the paths the Remove function would
+  leave degenerate.
+
+  1.20  261018 Add a Join function, joining open paths whose ends meet within
+  the tolerance into single paths, running paths backwards where needed.  A
+  single point is left at each joint, following the removal options.  Only
+  paths in the same layer, group or compound path are joined, and none where
+  three or more ends meet.  Paths joined back onto themselves are closed.
+  Joins cannot be reverted with RevertRedundantPoints.jsx.
+
+  1.19  261018 Add a Coincident Points option, finding groups of points on a
+  path within tolerance of each other that are not neighbors along it, such
+  as the ends of the small loops Offset Path leaves where a path touches
+  itself.  The groups are found with a grid of tolerance sized cells, so
+  long paths are searched quickly.  They are counted, annotated or selected,
+  with the lengths of the loops between their points, but never removed.
+
+  1.18  261018 Store the original points of each path changed by the Remove
+  or Simplify functions in a tag on the path, saved with the document.  The
+  new RevertRedundantPoints.jsx script restores the paths changed by the
+  last run.
+
+  1.17  261018 Move the processing of paths, and the functions working on
+  document objects, files and settings, into RedundantPointsDocument.jsxinc,
+  shared with the new BatchRemoveRedundantPoints.jsx script.
+
+  1.16  261018 Add presets.  The Presets panel saves the current options as a
+  named preset, sets the options from a chosen one, and renames or deletes
+  presets.  Each preset is a JSON file, kept in a RemoveRedundantPoints/
+  Presets folder of the user data folder unless another folder, such as one
+  shared by a team, is chosen.
+
+  1.15  261018 Remember the dialog settings between runs.  The settings of
+  each run that is not cancelled are saved in RemoveRedundantPoints/
+  Preferences.json in the user data folder and restored when the dialog
+  next opens.  Add a Reset to Defaults button.
+
+  1.14  261018 Add an Export Results option, writing one record per processed
+  path (name, layer, closed state, starting points, redundant sets, points to
+  remove, points removed and remaining points) with the options used, as CSV
+  or JSON next to the document.
+
+  1.13  261018 Add an Annotate option.  Each redundant point set found is
+  marked by a circle on a locked 'Redundant Points Analysis' layer, sized and
+  colored by the number of points in the set, with a note naming the path it
+  was found on.  The layer replaces the one from any earlier run, and paths
+  on it are never processed.
+
+  1.12  261018 Add a Preview checkbox.  While the dialog is open, markers are
+  drawn on a temporary 'Redundant Points Preview' layer at each redundant
+  point set (and each collinear or simplified point) found with the current
+  options, and redrawn as they change.  The layer is removed when the dialog
+  closes, whether by OK or Cancel.
+
+  1.11  261018 Add a Simplify function, thinning straight segment linework
+  with the Douglas-Peucker (distance tolerance) or Visvalingam-Whyatt (area
+  tolerance) algorithm.  It uses the same selection state, compound path and
+  locked item options as the other functions.  Points between curved
+  segments are never removed.
+
+  1.10  261018 Add a Collinear Points option, finding points that lie on a
+  straight line between their neighbors with retracted handles, as left by
+  Outline Stroke and Offset Path.  It has its own angular tolerance, works
+  with the Analyze, Remove and Select functions, and its counts are shown
+  separately in the results.
+
+  1.9   261018 Move findRedundantPoints() and removeRedundantPoints() into
+  RedundantPointsCore.jsxinc, where they work on plain point records so they
+  can also be run outside of Illustrator.  This script now reads the path
+  points into records and writes the cleaned records back.  The backwards
+  search for points coincident with the first point is now only done for
+  closed paths.
+
   1.8   120108 More fixes to the logic for keeping only a single point.
   The direction handles for the remaining point are now correctly calculated
   based on relative angle and distance to the original anchor to which a
@@ -97,844 +252,54 @@
 */
 
 
-/*******************************************************************************
- * Function: getPairTheta
- * Description:
- *   Return the angle relative to the X axis from the line formed between
- *   two points, which are passed in as arguments.  The angle is measured
- *   relative to point A (as if A were relocated to the origin, and the angle
- *   is measured to the X axis itself).  The arguments are expected to be
- *   arrays of two numbers (X, Y) defining the point.  The return value is in
- *   radians (PI to -PI)
- */
-function getPairTheta(pairA,pairB){
-        var deltaX=pairB[0]-pairA[0];
-        var deltaY=pairB[1]-pairA[1];
-        /*alert("deltaX="+deltaX+" deltaY="+deltaY);*/
-        return(Math.atan2(deltaY, deltaX));
-}
+//@include "RedundantPointsCore.jsxinc"
+//@include "RedundantPointsDocument.jsxinc"
 
-/*******************************************************************************
- * Function: getPairDistance
- * Description:
- *   Return the distance between two points.  The arguments are expected to be
- *   arrays of two numbers (X, Y) defining the point.  The return value is the
- *   distance in units relative to the inputs.
- */
-function getPairDistance(pairA,pairB){
-        var deltaX=pairB[0]-pairA[0];
-        var deltaY=pairB[1]-pairA[1];
-        return(Math.sqrt((deltaX*deltaX)+(deltaY*deltaY)));
-}
 
 /*******************************************************************************
- * Function: findRedundantPoints
+ * Function: getEnabledOptions
  * Description:
- *   Find all sets of redundant points for the input path.  A redundant point
- *   is defined as one that has the same anchor location as a neighboring point.
- *   The arguments are a path to work on, the tolerance in points to apply to
- *   determine a point is redundant, and a boolean to indicate that only
- *   groups of redundant points where at least one point is selected should
- *   be considered.  The return value is an Array of Arrays containing the
- *   indicies of the redundant pathPoint objects found in the path.
+ *   Return which functions and options of the settings input as the parameter
+ *   are in effect, as an object of booleans named select, simplify, join,
+ *   handles, deviation, collinear, coincident, smallLoops and degenerate.  An
+ *   option that does not apply to the function chosen is false.
  */
-function findRedundantPoints(path, tolerance, anySelected, allSelected){
-        var anchorDistance = 0;
-        var redundantPointSets = new Array();
-        var redundantPoint = new Array();
-        var selectedRedundantPointSets = new Array();
-        var selectedRedundantPoint = new Array();
-        var i = 0;
-        var j = 0;
-        var k = 0;
-        var index;
-        var selected = false;
-
-        if(path.pathPoints.length > 1) {
-                /*
-                 * The first path point may be coincident with some at the end of the path
-                 * so we check going backwards first.  Redundant points pushed on the
-                 * front of the array so they stay in order leftmost to rightmost.
-                 */
-                redundantPoint.push(0);
-                index = 0;
-                for (i=path.pathPoints.length-1; i>0; i--) {
-                        /*
-                         * Get distance and round to nearest hundredth of a point.
-                         * If points are closer than the tolerance, consider them
-                         * coincident.
-                         */
-                        anchorDistance = getPairDistance(path.pathPoints[index].anchor, path.pathPoints[i].anchor);
-                        anchorDistance = roundToPrecision(anchorDistance, 0.01);
-                        if (anchorDistance < tolerance) {
-                                redundantPoint.unshift(i);
-                        }
-                        else {
-                                break;
-                        }
-                        index = i;
-                }
-                /*
-                 * If we haven't used up all the points, start searching forwards
-                 * up to the point we stopped searching backwards.  Test the
-                 * current point against the next point.  If the next point matches push
-                 * its index onto the redundantPoint array.  When the first one doesn't match,
-                 * check if the redundantPoint array has more than one index.  If so add it
-                 * to the redundantPointSets array. Then clean the redundantPoint array
-                 * and push on the next point index.
-                 */
-                if(i > 0) {
-                        for (j=0; j<i; j++) {
-                                anchorDistance = getPairDistance(path.pathPoints[j].anchor, path.pathPoints[j+1].anchor);
-                                anchorDistance = roundToPrecision(anchorDistance, 0.01);
-                                if (anchorDistance < tolerance) {
-                                        redundantPoint.push(j+1);
-                                }
-                                else {
-                                        if (redundantPoint.length > 1) {
-                                                redundantPointSets.push(redundantPoint);
-                                        }
-                                        redundantPoint = [];
-                                        redundantPoint.push(j+1);
-                                }
-                        }
-                }
-                /*
-                 * Push the last redundantPoint array onto the redundantPointSets array if
-                 * its length is greater than one.
-                 */
-                if (redundantPoint.length > 1) {
-                        redundantPointSets.push(redundantPoint);
-                }
-        }
-
-        if (anySelected) {
-                for (i=0; i<redundantPointSets.length; i++) {
-                        var currentPointSet = redundantPointSets[i];
-                        selected = false;
-                        for (j=0; j<currentPointSet.length; j++) {
-                                if (path.pathPoints[currentPointSet[j]].selected ==
-                                    PathPointSelection.ANCHORPOINT) {
-                                        selected = true;
-                                }
-                        }
-                        if (selected) {
-                                selectedRedundantPointSets.push(currentPointSet);
-                        }
-                }
-        }
-        else if (allSelected) {
-                for (i=0; i<redundantPointSets.length; i++) {
-                        var currentPointSet = redundantPointSets[i];
-                        for (j=currentPointSet.length-1; j>=0; j--) {
-                                var currentPoint = path.pathPoints[currentPointSet[j]];
-                                if (currentPoint.selected == PathPointSelection.ANCHORPOINT) {
-                                        selectedRedundantPoint.unshift(currentPointSet[j]);
-                                }
-                                else {
-                                        break;
-                                }
-                        }
-                        if (j > 0) {
-                                for (k=0; k<j; k++) {
-                                        var currentPoint = path.pathPoints[currentPointSet[k]];
-                                        if (currentPoint.selected == PathPointSelection.ANCHORPOINT) {
-                                                selectedRedundantPoint.push(currentPointSet[k]);
-                                        }
-                                        else {
-                                                if (selectedRedundantPoint.length > 1) {
-                                                        selectedRedundantPointSets.push(selectedRedundantPoint);
-                                                }
-                                                selectedRedundantPoint = [];
-                                        }
-                                }
-                        }
-                        if (selectedRedundantPoint.length > 1) {
-                                selectedRedundantPointSets.push(selectedRedundantPoint);
-                        }
-                        selectedRedundantPoint = [];
-                }
-        }
-        else {
-                selectedRedundantPointSets = redundantPointSets;
-        }
-
-        return(selectedRedundantPointSets);
+function getEnabledOptions(settings){
+        var enabled = new Object();
+
+        enabled.select = (settings["function"] == "select");
+        enabled.simplify = (settings["function"] == "simplify");
+        enabled.join = (settings["function"] == "join");
+        enabled.handles = settings.handles && !enabled.simplify && !enabled.join;
+        enabled.deviation = settings.limitDeviation && !enabled.select && !enabled.simplify && !enabled.join;
+        enabled.collinear = settings.collinear && !enabled.simplify && !enabled.join;
+        enabled.coincident = settings.coincident && !enabled.simplify && !enabled.join;
+        enabled.smallLoops = settings.smallLoops && !enabled.simplify && !enabled.join;
+        enabled.degenerate = settings.degenerate && !enabled.join;
+        return enabled;
 }
 
-/*******************************************************************************
- * Function: countRedundantPoints
- * Description:
- *   Count the number of redundant points given a redundantPointSets array as
- *   the first parameter.
- */
-function countRedundantPoints(redundantPointSets, doKeepLeadingPoint, doKeepTrailingPoint) {
-        var i = 0;
-        var redundantPoints = 0;
-        var pointsKept = 1;
-
-        if (doKeepLeadingPoint && doKeepTrailingPoint) {
-                pointsKept = 2;
-        }
-
-        for (i=0; i<redundantPointSets.length; i++) {
-                redundantPoints += redundantPointSets[i].length - pointsKept;
-        }
-        return (redundantPoints);
-}
-
-/*******************************************************************************
- * Function: countSelectedPoints
- * Description:
- *   Count the number of selected anchor points given a path as the first parameter.
- */
-function countSelectedPoints(path) {
-        var i = 0;
-        var selectedPoints = 0;
-
-        for (i=0; i<path.pathPoints.length; i++) {
-                if (path.pathPoints[i].selected == PathPointSelection.ANCHORPOINT) {
-                        selectedPoints++;
-                }
-        }
-        return (selectedPoints);
-}
-
-/*******************************************************************************
- * Function: removeRedundantPoints
- * Description:
- *   Remove redundant points from a path input as the first parameter.  The
- *   second input parameter should be an array of arrays containing the
- *   indicies of redundant points, as returned from function
- *   findRedundantPoints().  From each set of indicies, the first point is
- *   retained, and the subsequent points are removed from the path.  Care is
- *   taken to preserve the proper leftDirection and rightDirection handles,
- *   as well as the proper PointType for the remaining point. Returns
- *   the number of points removed.
- */
-function removeRedundantPoints(path, redundantPointSets, keepLeadingPoint, keepTrailingPoint, keepAveragedPoint){
-        var i = 0;
-        var j = 0;
-        var pointsToRemove = new Array();
-        var tempLayer;
-        var tempPath;
-
-        /*
-         * For each array of redundant point indicies in array redundantPointSets,
-         * modify the leadingPoint to have all the properties needed to properly
-         * describe the set of coincident points.
-         */
-        for (i=0; i<redundantPointSets.length; i++) {
-                var x = 0;
-                var y = 0;
-                var currentPointSet = redundantPointSets[i];
-                var leadingPoint = path.pathPoints[currentPointSet[0]];
-                var trailingPoint = path.pathPoints[currentPointSet[currentPointSet.length-1]];
-
-                if (keepLeadingPoint && keepTrailingPoint) {
-                        /*
-                         * JAH 090401 REVISIT COMMENT WHEN DONE
-                         * If we are keeping two points, the leftDirection of the leading point
-                         * and rightDirection of the trailing point are already fixed.  We have to
-                         * synthesize the inward facing handles, and choose pointType of the two points.
-                         * To allow easy manipultion of the inner handles without disturbing the fixed
-                         * handles, make the points PointType.CORNER.  For the direction handles, make
-                         * them parallel to their respective paired handle, and extend them half the
-                         * distance between the two remaining points.
-                         */
-                        var averagedPoint;
-                        var theta;
-                        var deltaX;
-                        var deltaY;
-                        var pairDistance;
-                        var leftDistance;
-                        var rightDistance;
-                        var firstRemovedIndex = 1;
-
-                        if (currentPointSet.length > 2) {
-                                averagedPoint = path.pathPoints[currentPointSet[1]];
-                        }
-                        else {
-                                tempLayer = app.activeDocument.layers.add();
-                                tempLayer.name = "Temp";
-                                tempPath = tempLayer.pathItems.add();
-                                averagedPoint = tempPath.pathPoints.add();
-                        }
-
-                        if( currentPointSet.length <= 2 || !keepAveragedPoint ) {
-                                /*
-                                 * Use just the leading and trailing points.  Create inward facing
-                                 * direction handles for the two endpoints based on the relationship
-                                 * of the angles between each endpoint and the average point.
-                                 *
-                                 * For each endpoint, calcualte the angle of the endpoint to the
-                                 * average point, and the endpoint to the other endpoint.  Combine
-                                 * the angles.  The base angle for the inward facing direction handle
-                                 * is the angle that points it towards the average point.  Add to this
-                                 * angle, a multiple of the difference between the angle just mentioned,
-                                 * and the angle to the other endpoint.  Adding this difference angle
-                                 * will bias the curve towards the average point.  Finally, set the
-                                 * length of the direction handle as the distance from the endpoint
-                                 * to the average point multiplied by a factor.
-                                 */
-                                var thetaAverage;
-                                var thetaPair;
-                                var tweakThetaToOppositeEndpoint = 1.0;
-                                var tweakPairDistance = 0.5;
-
-                                /*
-                                 * Since the leading and trailing points will have direction handles pointing
-                                 * in different directions, these points must be corner points by necessity.
-                                 */
-                                leadingPoint.pointType = PointType.CORNER;
-                                trailingPoint.pointType = PointType.CORNER;
-
-                                /*
-                                 * Create new average point.
-                                 */
-                                for (j=0; j<currentPointSet.length; j++) {
-                                        x += path.pathPoints[currentPointSet[j]].anchor[0];
-                                        y += path.pathPoints[currentPointSet[j]].anchor[1];
-                                }
-                                x /= currentPointSet.length;
-                                y /= currentPointSet.length;
-                                averagedPoint.anchor = Array(x, y);
-                                averagedPoint.leftDirection = Array( averagedPoint.anchor[0], averagedPoint.anchor[1]);
-                                averagedPoint.rightDirection = Array( averagedPoint.anchor[0], averagedPoint.anchor[1]);
-                                averagedPoint.pointType = PointType.CORNER;
-
-                                /* Calcualte new leading point rightDirection */
-                                pairDistance = getPairDistance(leadingPoint.anchor, averagedPoint.anchor);
-
-                                thetaAverage = getPairTheta(leadingPoint.anchor, averagedPoint.anchor);
-                                thetaPair = getPairTheta(leadingPoint.anchor, trailingPoint.anchor);
-                                theta = thetaAverage + tweakThetaToOppositeEndpoint * (thetaAverage - thetaPair);
-                                /*alert("thetaAverage="+thetaAverage+" thetaPair="+thetaPair" theta="+theta);*/
-                                deltaX = Math.cos(theta) * tweakPairDistance * pairDistance;
-                                deltaY = Math.sin(theta) * tweakPairDistance * pairDistance;
-
-                                leadingPoint.rightDirection = Array(leadingPoint.anchor[0]+deltaX, leadingPoint.anchor[1]+deltaY);
-
-                                /* Calcualte new trailing point leftDirection */
-                                pairDistance = getPairDistance(trailingPoint.anchor, averagedPoint.anchor);
-
-                                thetaAverage = getPairTheta(trailingPoint.anchor, averagedPoint.anchor);
-                                thetaPair = getPairTheta(trailingPoint.anchor, leadingPoint.anchor);
-                                theta = thetaAverage + tweakThetaToOppositeEndpoint * (thetaAverage - thetaPair);
-                                /*alert("thetaAverage="+thetaAverage+" thetaPair="+thetaPair" theta="+theta);*/
-                                deltaX = Math.cos(theta) * tweakPairDistance * pairDistance;
-                                deltaY = Math.sin(theta) * tweakPairDistance * pairDistance;
-
-                                trailingPoint.leftDirection = Array(trailingPoint.anchor[0]+deltaX, trailingPoint.anchor[1]+deltaY);
-                        }
-                        else {
-                                /*
-                                 * Use just the leading and trailing points, along with a third point added
-                                 * at the average of all the removed points.  This point will act to anchor
-                                 * the curve at the average point.  It will also allow the leading and
-                                 * trailing points to be smooth points, allowing for a continuous
-                                 * curve through them.
-                                 *
-                                 * The inward facing direction handles for the two endpoints will be
-                                 * shortened extensions of the outward facing direction handles for these
-                                 * points.  The length of the handles will be a multiple of the
-                                 * distance from the direction handle to the average point.
-                                 *
-                                 * For the average point, the direction handles will be parallel to the
-                                 * angle formed by the angle between the two endpoints.  The length
-                                 * of the direction handles for this point will be a different multiple
-                                 * of the length from each endpoint to the average point.
-                                 */
-                                var thetaAverage;
-                                var thetaPair;
-                                var tweakPairDistanceForAveraged = 0.5;
-                                var tweakPairDistanceForEndpoint = 0.25;
-
-                                /*
-                                 * Since the leading and trailing points will have direction handles that
-                                 * are parallel, make them smooth points.
-                                 */
-                                leadingPoint.pointType = PointType.SMOOTH;
-                                trailingPoint.pointType = PointType.SMOOTH;
-
-                                /* We will be keeping one more point, the averaged point. */
-                                firstRemovedIndex = 2;
-
-                                /*
-                                 * Create new average point.
-                                 */
-                                for (j=0; j<currentPointSet.length; j++) {
-                                        x += path.pathPoints[currentPointSet[j]].anchor[0];
-                                        y += path.pathPoints[currentPointSet[j]].anchor[1];
-                                }
-                                x /= currentPointSet.length;
-                                y /= currentPointSet.length;
-                                averagedPoint.anchor = Array(x, y);
-                                averagedPoint.leftDirection = Array( averagedPoint.anchor[0], averagedPoint.anchor[1]);
-                                averagedPoint.rightDirection = Array( averagedPoint.anchor[0], averagedPoint.anchor[1]);
-                                averagedPoint.pointType = PointType.SMOOTH;
-
-                                /* Calcualte new averaged point leftDirection */
-                                pairDistance = getPairDistance(leadingPoint.anchor, averagedPoint.anchor);
-
-                                theta = getPairTheta(leadingPoint.anchor, trailingPoint.anchor);
-                                /*alert("theta="+theta);*/
-                                if (theta > 0) {
-                                        theta += Math.PI;
-                                }
-                                else {
-                                        theta += -Math.PI;
-                                }
-                                deltaX = Math.cos(theta) * tweakPairDistanceForAveraged * pairDistance;
-                                deltaY = Math.sin(theta) * tweakPairDistanceForAveraged * pairDistance;
-
-                                averagedPoint.leftDirection = Array(averagedPoint.anchor[0]+deltaX, averagedPoint.anchor[1]+deltaY);
-
-                                /* Calcualte new averaged point rightDirection */
-                                pairDistance = getPairDistance(trailingPoint.anchor, averagedPoint.anchor);
-
-                                theta = getPairTheta(trailingPoint.anchor, averagedPoint.anchor);
-                                /*alert("theta="+theta);*/
-                                if (theta > 0) {
-                                        theta += Math.PI;
-                                }
-                                else {
-                                        theta += -Math.PI;
-                                }
-                                deltaX = Math.cos(theta) * tweakPairDistanceForAveraged * pairDistance;
-                                deltaY = Math.sin(theta) * tweakPairDistanceForAveraged * pairDistance;
-
-                                averagedPoint.rightDirection = Array(averagedPoint.anchor[0]+deltaX, averagedPoint.anchor[1]+deltaY);
-
-                                /* Calculate direction handles for leading and trailing points */
-                                pairDistance = getPairDistance(leadingPoint.anchor, trailingPoint.anchor);
-
-                                leftDistance = getPairDistance(leadingPoint.anchor, leadingPoint.leftDirection);
-                                if (leftDistance > 0) {
-                                        theta = getPairTheta(leadingPoint.anchor, leadingPoint.leftDirection);
-                                        /*alert("theta="+theta);*/
-                                        if (theta > 0) {
-                                                theta += Math.PI;
-                                        }
-                                        else {
-                                                theta += -Math.PI;
-                                        }
-                                        pairDistance = getPairDistance(leadingPoint.anchor, averagedPoint.anchor);
-                                        deltaX = Math.cos(theta) * tweakPairDistanceForEndpoint * pairDistance;
-                                        deltaY = Math.sin(theta) * tweakPairDistanceForEndpoint * pairDistance;
-                                        leadingPoint.rightDirection = Array(leadingPoint.anchor[0]+deltaX, leadingPoint.anchor[1]+deltaY);
-                                }
-                                else {
-                                        leadingPoint.rightDirection = leadingPoint.anchor;
-                                }
-
-                                rightDistance = getPairDistance(trailingPoint.anchor, trailingPoint.rightDirection);
-                                if (rightDistance > 0) {
-                                        theta = getPairTheta(trailingPoint.anchor, trailingPoint.rightDirection);
-                                        if (theta > 0) {
-                                                theta += Math.PI;
-                                        }
-                                        else {
-                                                theta += -Math.PI;
-                                        }
-                                        pairDistance = getPairDistance(trailingPoint.anchor, averagedPoint.anchor);
-                                        deltaX = Math.cos(theta) * tweakPairDistanceForEndpoint * pairDistance;
-                                        deltaY = Math.sin(theta) * tweakPairDistanceForEndpoint * pairDistance;
-                                        trailingPoint.leftDirection = Array(trailingPoint.anchor[0]+deltaX, trailingPoint.anchor[1]+deltaY);
-                                }
-                                else {
-                                        trailingPoint.leftDirection = trailingPoint.anchor;
-                                }
-                        }
-
-                        /*
-                         * Push all points other than the leading and trailing onto the pointsToRemove array
-                         * for later removal.  We can't remove them while we are working with later sets.
-                         */
-                        for (j=firstRemovedIndex; j<currentPointSet.length-1; j++) {
-                                pointsToRemove.push(currentPointSet[j]);
-                        }
-                }
-                else {
-                        /*
-                         * If we are only keeping one point, we will work with the leading point.
-                         * First, calculate the relative distances and angles of the direction handle for
-                         * the leadingPoint leftDirection handle and the trailingPoint rightDirection
-                         * handle.  These values will be used to help properly construct the remaining
-                         * point.
-                         */
-                        var leftDistance = getPairDistance(leadingPoint.anchor, leadingPoint.leftDirection);
-                        var rightDistance = getPairDistance(trailingPoint.anchor, trailingPoint.rightDirection);
-                        var leftTheta = getPairTheta(leadingPoint.anchor, leadingPoint.leftDirection);
-                        var rightTheta = getPairTheta(trailingPoint.anchor, trailingPoint.rightDirection);
-
-                        /*
-                         * If we are keeping the leadingPoint, calculate a relative rightDirection handle
-                         * based on the trailingPoint rightDistance and rightTheta.  If we are keeping the
-                         * trailingPoint, copy its anchor and rightDirection handle to the leadingPoint,
-                         * and calculate a relative leftDirection handle based on the leadingPoint
-                         * leftDistance and leftTheta.  If we are to keep neither leading or trailing point,
-                         * average the position of all the redundant points and calcuate direction handles
-                         * based on the appropriate values.
-                         */
-                        if (keepLeadingPoint) {
-                                x = leadingPoint.anchor[0] + (Math.cos(rightTheta) * rightDistance);
-                                y = leadingPoint.anchor[1] + (Math.sin(rightTheta) * rightDistance);
-                                leadingPoint.rightDirection = Array(x, y);
-                        }
-                        else if (keepTrailingPoint) {
-                                leadingPoint.anchor = trailingPoint.anchor;
-                                leadingPoint.rightDirection = trailingPoint.rightDirection;
-                                x = leadingPoint.anchor[0] + (Math.cos(leftTheta) * leftDistance);
-                                y = leadingPoint.anchor[1] + (Math.sin(leftTheta) * leftDistance);
-                                leadingPoint.leftDirection = Array(x, y);
-                        }
-                        else {
-                                for (j=0; j<currentPointSet.length; j++) {
-                                        x += path.pathPoints[currentPointSet[j]].anchor[0];
-                                        y += path.pathPoints[currentPointSet[j]].anchor[1];
-                                }
-                                x /= currentPointSet.length;
-                                y /= currentPointSet.length;
-                                leadingPoint.anchor = Array(x, y);
-                                x = leadingPoint.anchor[0] + (Math.cos(leftTheta) * leftDistance);
-                                y = leadingPoint.anchor[1] + (Math.sin(leftTheta) * leftDistance);
-                                leadingPoint.leftDirection = Array(x, y);
-                                x = leadingPoint.anchor[0] + (Math.cos(rightTheta) * rightDistance);
-                                y = leadingPoint.anchor[1] + (Math.sin(rightTheta) * rightDistance);
-                                leadingPoint.rightDirection = Array(x, y);
-                        }
-
-                        /*
-                         * If the distance for a handle is less than half a point and rounds to zero,
-                         * retract that handle fully by setting that direction handle equal to the anchor
-                         * point.  This will keep angles consistent for smooth points.
-                         */
-                        if (Math.round(leftDistance) == 0) {
-                                leadingPoint.leftDirection = leadingPoint.anchor;
-                        }
-                        if (Math.round(rightDistance) == 0) {
-                                leadingPoint.rightDirection = leadingPoint.anchor;
-                        }
-
-                        /*
-                         * Handle the PointType in a minimal manner.  If keeping the leadingPoint or keeping
-                         * the trailingPoint, keep the PointType of that point if possible.  If both handles
-                         * are extended, measure the angles of the two direction handles.  If both handles
-                         * have the same angle relative to the X axis within a tolerance, the PointType
-                         * can be SMOOTH, otherwise it must be CORNER.  If the point type is SMOOTH, ensure
-                         * the direction handles are corrected to be exactly 180 degrees apart.
-                         *
-                         * If not specifically keeping the leading or trailing point and only one handle is
-                         * extended, base the pointType on the the leadingPoint if only the left handle is
-                         * extended and the trailingPoint if only the right handle is extended.  
-                         */
-                        if (Math.round(leftDistance) > 0 && Math.round(rightDistance) > 0) {
-                                var absdiff = Math.abs(leftTheta-rightTheta);
-                                var error = Math.PI - absdiff;
-                                /*alert("leftTheta="+leftTheta+" rightTheta="+rightTheta+" absdiff="+absdiff+" error="+error);*/
-                                if (Math.abs(error) < 0.02) {
-                                        if (keepTrailingPoint) {
-                                                leadingPoint.pointType = trailingPoint.pointType;
-                                        }
-                                        else if (!keepLeadingPoint) {
-                                                leadingPoint.pointType = PointType.SMOOTH;
-                                        }
-                                        if (leadingPoint.pointType == PointType.SMOOTH) {
-                                                if (keepTrailingPoint) {
-                                                        x = leadingPoint.anchor[0] + (Math.cos(Math.PI + rightTheta) * leftDistance);
-                                                        y = leadingPoint.anchor[1] + (Math.sin(Math.PI + rightTheta) * leftDistance);
-                                                        leadingPoint.leftDirection = Array(x, y);
-                                                }
-                                                else {
-                                                        x = leadingPoint.anchor[0] + (Math.cos(Math.PI + leftTheta) * rightDistance);
-                                                        y = leadingPoint.anchor[1] + (Math.sin(Math.PI + leftTheta) * rightDistance);
-                                                        leadingPoint.rightDirection = Array(x, y);
-                                                }
-                                        }
-                                }
-                                else {
-                                        leadingPoint.pointType = PointType.CORNER;
-                                }
-                        }
-                        else if (keepTrailingPoint) {
-                                leadingPoint.pointType = trailingPoint.pointType;
-                        }
-                        else if (!keepLeadingPoint && rightDistance > 0) {
-                                leadingPoint.pointType = trailingPoint.pointType;
-                        }
-
-                        /*
-                         * Push all other points onto the pointsToRemove array for later removal.  We can't
-                         * remove them while we are working with later sets.
-                         */
-                        for (j=1; j<currentPointSet.length; j++) {
-                                pointsToRemove.push(currentPointSet[j]);
-                        }
-                }
-        }
-        /*
-         * Sort the pointsToRemove array and then remove the points in reverse order, so the indicies
-         * remain coherent during the removal.
-         */
-        pointsToRemove.sort(function (a,b) { return a-b });
-        for (i=pointsToRemove.length-1; i>=0; i--) {
-                var pointToRemove = path.pathPoints[pointsToRemove[i]];
-                pointToRemove.remove();
-        }
-        if (tempPath) {
-                tempPath.remove();
-        }
-        if (tempLayer) {
-                tempLayer.remove();
-        }
-        return (pointsToRemove.length);
-}
-
-
-/*******************************************************************************
- * Function: selectRedundantPoints
- * Description:
- *   Select redundant points on a path input as the first parameter.  The
- *   second input parameter should be an array of arrays containing the
- *   indicies of redundant points, as returned from function
- *   findRedundantPoints().  If there are redundant points, deselect all points
- *   on the path and select the ANCHORPOINT of each redundant point.  If there
- *   are no redundant points on the path, do nothing.
- */
-function selectRedundantPoints(path, redundantPointSets){
-        var i = 0;
-        var j = 0;
-        if (redundantPointSets.length > 0) {
-                for (i=0; i<path.pathPoints.length; i++) {
-                        path.pathPoints[i].selected = PathPointSelection.NOSELECTION;
-                }
-                for (i=0; i<redundantPointSets.length; i++) {
-                        var currentPointSet = redundantPointSets[i];
-                        for (j=0; j<currentPointSet.length; j++) {
-                                path.pathPoints[currentPointSet[j]].selected = PathPointSelection.ANCHORPOINT;
-                        }
-                }
-        }
-}
-
-
-/*******************************************************************************
- * Function: unlockPath
- * Description:
- *   For a path input as the first parameter, unlock the path and any locked
- *   parent object.  Return an array of objects that have been unlocked.
- */
-function unlockPath(path){
-        var unlockedObjects = new Array();
-        var parentObjects = new Array();
-        var currentObject = path;
-        var i = 0;
-
-        while (currentObject.typename != "Document") {
-                parentObjects.unshift(currentObject);
-                currentObject = currentObject.parent;
-        }
-        for (i=0; i<parentObjects.length; i++) {
-                if (parentObjects[i].locked) {
-                        parentObjects[i].locked = false;
-                        unlockedObjects.unshift(parentObjects[i]);
-                }
-        }
-        return unlockedObjects;
-}
-
-
-/*******************************************************************************
- * Function: lockObjects
- * Description:
- *   For a set of objects as the first parameter, lock each object.
- */
-function lockObjects(objects){
-        var i = 0;
-        for (i=0; i<objects.length; i++) {
-                objects[i].locked = true;
-        }
-}
-
-
-/*******************************************************************************
- * Function: docGetSelectedPaths
- * Description:
- *   Get all the selected paths for the docRef argument passed in as
- *   a parameter.  The second parameter is a boolean that controls if compound
- *   path items are included (default true), and the third parameter is a
- *   boolean that controls if locked objects are included (default false).
- *   Returns an array of paths.
- */
-function docGetSelectedPaths(docRef, includeCompound, includeLocked){
-        var qualifiedPaths = new Array();
-        var i = 0;
-        var j = 0;
-        var nextPath = null;
-        var currentSelection = new Array();
-        var nextSelection = docRef.selection;
-
-        if (includeCompound == null) {
-                includeCompound = true;
-        }
-        if (includeLocked == null) {
-                includeLocked = false;
-        }
-
-        do {
-                currentSelection = nextSelection;
-                nextSelection = [];
-
-                for(i=0; i<currentSelection.length; i++){
-                        var currentObject=currentSelection[i];
-                        if (currentObject.typename == "PathItem") {
-                                if (includeLocked || !(currentObject.locked ||
-                                                       currentObject.layer.locked)) {
-                                        qualifiedPaths.push(currentObject);
-                                }
-                        }
-                        else if (currentObject.typename == "CompoundPathItem") {
-                                if (includeCompound &&
-                                    (includeLocked || !(currentObject.locked ||
-                                                        currentObject.layer.locked))) {
-                                        /*
-                                         * For more complex compound paths (e.g. concentric circular bands),
-                                         * in CS3 the CompoundPathItem object's pathItems array is empty.
-                                         * Inspection of the paths in a document shows the paths contained
-                                         * in the CompoundPathItem have groups as parents. To get around
-                                         * this seeming bug, in addition to using the pathItems array,
-                                         * which still contains individual paths, we also search through
-                                         * all the groups in the document adding paths whose parent
-                                         * is the CompoundPathItem object.
-                                         *
-                                         * WARNING this takes non-negligible time in large documents.
-                                         */
-                                        for (j=0; j<currentObject.pathItems.length; j++) {
-                                                qualifiedPaths.push(currentObject.pathItems[j]);
-                                        }
-                                        for (j=0; j<docRef.groupItems.length; j++) {
-                                                if (docRef.groupItems[j].parent == currentObject) {
-                                                        nextSelection.push(docRef.groupItems[j]);
-                                                }
-                                        }
-                                }
-                        }
-                        else if (currentObject.typename == "GroupItem") {
-                                for (j=0; j<currentObject.pathItems.length; j++){
-                                        nextSelection.push(currentObject.pathItems[j]);
-                                }
-                                for (j=0; j<currentObject.compoundPathItems.length; j++){
-                                        nextSelection.push(currentObject.compoundPathItems[j]);
-                                }
-                                for (j=0; j<currentObject.groupItems.length; j++){
-                                        nextSelection.push(currentObject.groupItems[j]);
-                                }
-                        }
-                        else if (currentObject.typename == "Layer") {
-                                for (j=0; j<currentObject.pathItems.length; j++){
-                                        nextSelection.push(currentObject.pathItems[j]);
-                                }
-                                for (j=0; j<currentObject.compoundPathItems.length; j++){
-                                        nextSelection.push(currentObject.compoundPathItems[j]);
-                                }
-                                for (j=0; j<currentObject.groupItems.length; j++){
-                                        nextSelection.push(currentObject.groupItems[j]);
-                                }
-                                for (j=0; j<currentObject.layers.length; j++){
-                                        nextSelection.push(currentObject.layers[j]);
-                                }
-                        }
-                }
-        } while (nextSelection.length > 0);
-        return qualifiedPaths;
-}
-
-/*******************************************************************************
- * Function: docGetAllPaths
- * Description:
- *   Get all the paths for the docRef argument passed in as a parameter.
- *   The second parameter is a boolean that controls if compound path items are
- *   included (default true), and the third parameter is a boolean that controls
- *   if locked objects are included (default false).  Returns an array of paths.
- */
-function docGetAllPaths(docRef, includeCompound, includeLocked) {
-        var qualifiedPaths = new Array();
-        var i = 0;
-        var nextPath = null;
-
-        if (includeCompound == null) {
-                includeCompound = true;
-        }
-        if (includeLocked == null) {
-                includeLocked = false;
-        }
-
-        for (i=0; i<docRef.pathItems.length; i++) {
-                nextPath = docRef.pathItems[i];
-                if (!includeCompound && nextPath.parent.typename == "CompoundPathItem") {
-                        continue;
-                }
-                if (!includeLocked && (nextPath.layer.locked == true || nextPath.locked == true)) {
-                        continue;
-                }
-                qualifiedPaths.push(nextPath);
-        }
-        return qualifiedPaths;
-}
-
-/*******************************************************************************
- * Function: roundToPrecision
- * Description:
- *   Round a number input as the first parameter to a given precision.  The
- *   second input parameter is the precision to round to (typically a power of
- *   10, like 0.1).  Returns the rounded value.
- */
-function roundToPrecision(value, precision) {
-        var result;
-
-        result = value / precision;
-        result = Math.round(result);
-        result = result * precision;
-
-        return (result);
-}
 
 /*******************************************************************************
 /*******************************************************************************
 /*******************************************************************************
 * Main code
 */
+var previewLayer = null;
+var previewTime = 0;
 var dlgInit = new Window('dialog', 'Redundant Path Points');
 doInitDialog(dlgInit);
 
 var exitError;
-var tolerance = 1 * (dlgInit.tolerancePnl.editText.text);
-var doAnalyze = dlgInit.functionPnl.doAnalyze.value;
-var doRemove = dlgInit.functionPnl.doRemove.value;
-var doSelect = dlgInit.functionPnl.doSelect.value;
-var doKeepLeadingPoint = dlgInit.removalPnl.doKeepLeadingPoint.value;
-var doKeepTrailingPoint = dlgInit.removalPnl.doKeepTrailingPoint.value;
-var doKeepAveragedPoint = dlgInit.removalPnl.doKeepAveragedPoint.value;
-var includeCompound = dlgInit.optionPnl.includeCompound.value;
-var includeLocked = dlgInit.optionPnl.includeLocked.value;
-var ignoreSelected = dlgInit.selectionPnl.ignoreSelected.value;
-var anySelected = dlgInit.selectionPnl.anySelected.value;
-var allSelected = dlgInit.selectionPnl.allSelected.value;
+var settings = getDialogSettings(dlgInit);
+var enabled = getEnabledOptions(settings);
 
 var docRef=app.activeDocument;
 var pathsToProcess = new Array();
-var i = 0;
-var j = 0;
-var totalPaths = 0;
-var totalPointsWithRedundancy = 0;
-var totalPointsToRemove = 0;
-var totalPointsRemoved = 0;
-var totalPointsStarting = 0;
-var totalPointsRemaining = 0;
-var totalPointsSelected = 0;
-var redundantPointSets = new Array();
-var unlockedObjects = new Array();
+var results;
+var exportFile = null;
+var toleranceApplied = settings.tolerance;
+var toleranceRule = null;
 
 try {
         if (exitError != 0) {
@@ -943,23 +308,27 @@ try {
 
         exitError = 99;
 
+        if (settings.annotate) {
+                removeAnalysisLayers(docRef);
+        }
+
         if (docRef.selection.length > 0) {
-                pathsToProcess = docGetSelectedPaths(docRef, includeCompound, includeLocked);
+                pathsToProcess = docGetSelectedPaths(docRef, settings.includeCompound, settings.includeLocked);
         }
         else {
                 var doAll = confirm("Run script for all paths in document?");
                 if (doAll) {
-                        pathsToProcess = docGetAllPaths(docRef, includeCompound, includeLocked);
+                        pathsToProcess = docGetAllPaths(docRef, settings.includeCompound, settings.includeLocked);
                 }
         }
 
-        if (doSelect) {
-                if (includeLocked) {
+        if (enabled.select) {
+                if (settings.includeLocked) {
                         exitError = 2;
                         throw("exit");
                 }
 
-                if (!ignoreSelected) {
+                if (settings.selectionState != "ignore") {
                         exitError = 3;
                         throw("exit");
                 }
@@ -967,47 +336,26 @@ try {
                 docRef.selection = null;
         }
 
-        for (i=0; i<pathsToProcess.length; i++) {
-                redundantPointSets = findRedundantPoints(pathsToProcess[i], tolerance, anySelected, allSelected);
-
-                totalPaths++;
-                totalPointsWithRedundancy += redundantPointSets.length;
-                totalPointsToRemove += countRedundantPoints(redundantPointSets, doKeepLeadingPoint, doKeepTrailingPoint);
-                totalPointsStarting += pathsToProcess[i].pathPoints.length;
-                totalPointsSelected += countSelectedPoints(pathsToProcess[i]);
-
-                if (doRemove) {
-                        if (includeLocked) {
-                                unlockedObjects = unlockPath(pathsToProcess[i]);
-                        }
-                        else {
-                                unlockedObjects = [];
-                        }
-
-                        totalPointsRemoved += removeRedundantPoints(pathsToProcess[i], redundantPointSets, doKeepLeadingPoint, doKeepTrailingPoint, doKeepAveragedPoint);
+        results = processPaths(docRef, pathsToProcess, settings);
 
-                        if (unlockedObjects.length > 0) {
-                                lockObjects(unlockedObjects);
-                        }
-                }
+        /* Each path got its own tolerance, so show the range applied */
+        if (settings.toleranceMode != "fixed" && !enabled.join && !enabled.simplify && results.minTolerance != null) {
+                toleranceApplied = (Math.round(results.minTolerance * 10000) / 10000) + " to " + (Math.round(results.maxTolerance * 10000) / 10000);
+                toleranceRule = (settings.toleranceMode == "size") ?
+                                settings.sizeTolerance + "% of each path's bounding box diagonal" :
+                                settings.strokeTolerance + " times each path's stroke width";
+        }
 
-                if (doSelect) {
-                        selectRedundantPoints(pathsToProcess[i], redundantPointSets);
-                }
+        if (settings.exportFormat != "none") {
+                exportFile = exportResults(docRef, settings.exportFormat, results.records, getSettingsDescription(settings));
+        }
 
-                totalPointsRemaining += pathsToProcess[i].pathPoints.length;
+        if (results.annotations.length > 0) {
+                addAnalysisLayer(docRef, results.annotations);
         }
 
         var dlgResults = new Window('dialog', 'Redundant Path Points');
-        doResultsDialog(dlgResults,
-                        totalPaths,
-                        totalPointsWithRedundancy,
-                        totalPointsToRemove,
-                        totalPointsRemoved,
-                        totalPointsStarting,
-                        totalPointsRemaining,
-                        totalPointsSelected,
-                        tolerance);
+        doResultsDialog(dlgResults, results, settings, toleranceApplied, toleranceRule, exportFile);
 
 }
 catch(er)
@@ -1032,15 +380,35 @@ catch(er)
  * Function: doInitDialog
  */
 function doInitDialog(dlgInit) {
-        var defaultTolerance = 5.0;
+        var defaults = getDefaultSettings();
         var maxSliderTolerance = 5;
+        var rulerUnit = (app.documents.length > 0) ? getRulerUnit(app.activeDocument) : "pt";
+        var preferences = readJsonFile(getPreferencesFile());
+
+        /* Add a dropdown and buttons to manage presets of the options */
+        dlgInit.presetPnl = dlgInit.add('panel', undefined, 'Presets:');
+        (dlgInit.presetPnl.preset = dlgInit.presetPnl.add('dropdownlist', undefined, [])).helpTip="Choose a preset to set the options saved in it.";
+        dlgInit.presetPnl.preset.preferredSize.width = 150;
+        (dlgInit.presetPnl.saveBtn = dlgInit.presetPnl.add('button', undefined, 'Save...')).helpTip="Save the current options as a preset.";
+        (dlgInit.presetPnl.renameBtn = dlgInit.presetPnl.add('button', undefined, 'Rename...')).helpTip="Rename the chosen preset.";
+        (dlgInit.presetPnl.deleteBtn = dlgInit.presetPnl.add('button', undefined, 'Delete')).helpTip="Delete the chosen preset.";
+        dlgInit.presetPnl.folderBtn = dlgInit.presetPnl.add('button', undefined, 'Folder...');
+        dlgInit.presetPnl.orientation='row';
+        dlgInit.presetPnl.preset.onChange = presetChanged;
+        dlgInit.presetPnl.saveBtn.onClick = presetSaveClicked;
+        dlgInit.presetPnl.renameBtn.onClick = presetRenameClicked;
+        dlgInit.presetPnl.deleteBtn.onClick = presetDeleteClicked;
+        dlgInit.presetPnl.folderBtn.onClick = presetFolderClicked;
+        dlgInit.presetPnl.presetFolder = getPresetFolder(preferences);
+        updatePresetList(null);
 
         /* Add radio buttons to control functionality */
         dlgInit.functionPnl = dlgInit.add('panel', undefined, 'Function:');
         (dlgInit.functionPnl.doAnalyze = dlgInit.functionPnl.add('radiobutton', undefined, 'Analyze' )).helpTip = "Find and count redundant points.";
         (dlgInit.functionPnl.doRemove = dlgInit.functionPnl.add('radiobutton', undefined, 'Remove' )).helpTip = "Find and remove redundant points.";
         (dlgInit.functionPnl.doSelect = dlgInit.functionPnl.add('radiobutton', undefined, 'Select' )).helpTip = "Find and select redundant points.\nWARNING:Manual removal of selected redundant points can change the shape of your curves.\nTips:Hiding bounding box helps to see which points are selected.  Modify selection as desired and rerun script to remove specific redundant points.";
-        dlgInit.functionPnl.doRemove.value = true;
+        (dlgInit.functionPnl.doSimplify = dlgInit.functionPnl.add('radiobutton', undefined, 'Simplify' )).helpTip = "Thin straight segment linework to the simplify tolerance.  Points between curved segments are kept.";
+        (dlgInit.functionPnl.doJoin = dlgInit.functionPnl.add('radiobutton', undefined, 'Join' )).helpTip = "Join open paths whose ends meet within the tolerance into single paths, leaving one point at each joint as set by the removal options.  Paths are only joined within the same container, and not where three or more ends meet.";
         dlgInit.functionPnl.orientation='row';
 
         /* Add radio buttons to control point selection */
@@ -1048,54 +416,437 @@ function doInitDialog(dlgInit) {
         (dlgInit.selectionPnl.ignoreSelected = dlgInit.selectionPnl.add('radiobutton', undefined, 'Ignore')).helpTip="Process redundant points on a path regardless of their selection state.";
         (dlgInit.selectionPnl.allSelected = dlgInit.selectionPnl.add('radiobutton', undefined, 'All')).helpTip="Process redundant points on a path only if each of them is selected.";
         (dlgInit.selectionPnl.anySelected = dlgInit.selectionPnl.add('radiobutton', undefined, 'Any')).helpTip="Process redundant points on a path if any one of them is selected.";
-        dlgInit.selectionPnl.allSelected.value = true;
         dlgInit.selectionPnl.orientation='row';
 
         /* Add a checkbox to control options */
         dlgInit.optionPnl = dlgInit.add('panel', undefined, 'Other Options:');
         (dlgInit.optionPnl.includeCompound = dlgInit.optionPnl.add('checkbox', undefined, 'Include Compound Path Items?')).helpTip="Work on compound path items.";
         (dlgInit.optionPnl.includeLocked = dlgInit.optionPnl.add('checkbox', undefined, 'Include Locked Items?')).helpTip="Work on locked items or items in locked layers.";
-        dlgInit.optionPnl.includeCompound.value = true;
-        dlgInit.optionPnl.includeLocked.value = false;
+        (dlgInit.optionPnl.doAnnotate = dlgInit.optionPnl.add('checkbox', undefined, 'Annotate Redundant Points?')).helpTip="Mark each redundant point set on a locked 'Redundant Points Analysis' layer, replacing the markers of any earlier run.";
         dlgInit.optionPnl.alignChildren='left';
         dlgInit.optionPnl.orientation='column';
 
+        /* Add radio buttons to export per path results */
+        dlgInit.exportPnl = dlgInit.add('panel', undefined, 'Export Results:');
+        (dlgInit.exportPnl.doExportNone = dlgInit.exportPnl.add('radiobutton', undefined, 'None')).helpTip="Do not export results.";
+        (dlgInit.exportPnl.doExportCsv = dlgInit.exportPnl.add('radiobutton', undefined, 'CSV')).helpTip="Write the results of each path and the options used to a CSV file next to the document.";
+        (dlgInit.exportPnl.doExportJson = dlgInit.exportPnl.add('radiobutton', undefined, 'JSON')).helpTip="Write the results of each path and the options used to a JSON file next to the document.";
+        dlgInit.exportPnl.orientation='row';
+
         /* Add a slider and edit box for user entered tolerance */
-        dlgInit.tolerancePnl = dlgInit.add('panel', undefined, 'Tolerance (in PostScript points):');
-        (dlgInit.tolerancePnl.slide = dlgInit.tolerancePnl.add('slider', undefined, defaultTolerance, 0.01, maxSliderTolerance)).helpTip="Use slider to set a tolerance value in hundredths of a point.";
-        (dlgInit.tolerancePnl.editText = dlgInit.tolerancePnl.add('edittext', undefined, defaultTolerance)).helpTip="Enter a tolerance value.  Values greater then 5.0 or more precise than 1/100 point can be manually entered here.";
-        dlgInit.tolerancePnl.editText.characters = 5;
+        dlgInit.tolerancePnl = dlgInit.add('panel', undefined, 'Tolerance:');
+        dlgInit.tolerancePnl.unit = rulerUnit;
+        dlgInit.tolerancePnl.points = defaults.tolerance;
+        (dlgInit.tolerancePnl.slide = dlgInit.tolerancePnl.add('slider', undefined, defaults.tolerance, 0.01, maxSliderTolerance)).helpTip="Use slider to set a tolerance value in hundredths of a point.";
+        (dlgInit.tolerancePnl.editText = dlgInit.tolerancePnl.add('edittext', undefined, formatLength(defaults.tolerance, rulerUnit))).helpTip="Enter a tolerance in pt, px, mm, cm or in, such as 0.5 mm.  Numbers without a unit are in the document's ruler units (" + rulerUnit + ").  Simple expressions such as 1/72 in or 2 pt + 0.1 mm can be entered.  Values greater then 5.0 points or more precise than 1/100 point can be manually entered here.";
+        dlgInit.tolerancePnl.editText.characters = 8;
         dlgInit.tolerancePnl.orientation='row';
+        dlgInit.tolerancePnl.slide.onChanging = toleranceSliderChanging;
         dlgInit.tolerancePnl.slide.onChange = toleranceSliderChanged;
         dlgInit.tolerancePnl.editText.onChange = toleranceEditTextChanged;
 
+        /* Add radio buttons and edit boxes to scale the tolerance to each path */
+        dlgInit.toleranceModePnl = dlgInit.add('panel', undefined, 'Tolerance Mode:');
+        (dlgInit.toleranceModePnl.doFixed = dlgInit.toleranceModePnl.add('radiobutton', undefined, 'Fixed')).helpTip="Apply the tolerance above to every path.";
+        (dlgInit.toleranceModePnl.doSize = dlgInit.toleranceModePnl.add('radiobutton', undefined, 'Path Size %:')).helpTip="Apply a percentage of the diagonal of each path's bounding box, so small and large paths are cleaned alike.";
+        (dlgInit.toleranceModePnl.sizeText = dlgInit.toleranceModePnl.add('edittext', undefined, defaults.sizeTolerance)).helpTip="Enter the percentage of the bounding box diagonal (up to 100).";
+        dlgInit.toleranceModePnl.sizeText.characters = 4;
+        (dlgInit.toleranceModePnl.doStroke = dlgInit.toleranceModePnl.add('radiobutton', undefined, 'Stroke Width x:')).helpTip="Apply a multiple of each path's stroke width, or of the width recorded by RecordStrokeWidths.jsx before the stroke was outlined.  Paths with no known stroke width get the tolerance above.";
+        (dlgInit.toleranceModePnl.strokeText = dlgInit.toleranceModePnl.add('edittext', undefined, defaults.strokeTolerance)).helpTip="Enter the multiple of the stroke width.";
+        dlgInit.toleranceModePnl.strokeText.characters = 4;
+        dlgInit.toleranceModePnl.orientation='row';
+        dlgInit.toleranceModePnl.sizeText.onChange = sizeToleranceChanged;
+        dlgInit.toleranceModePnl.strokeText.onChange = strokeToleranceChanged;
+
+        /* Add a checkbox, edit box and dropdown to compare direction handles */
+        dlgInit.handlePnl = dlgInit.add('panel', undefined, 'Direction Handles:');
+        (dlgInit.handlePnl.doHandles = dlgInit.handlePnl.add('checkbox', undefined, 'Compare Handles')).helpTip="Only merge coincident points whose direction handles agree, so the curve does not change.  A handle dropped by the merge must end within the handle tolerance of the one kept on its side, or be retracted.";
+        dlgInit.handlePnl.txt = dlgInit.handlePnl.add('statictext', undefined, 'Tolerance:');
+        (dlgInit.handlePnl.editText = dlgInit.handlePnl.add('edittext', undefined, defaults.handleTolerance)).helpTip="Enter how far apart, in PostScript points, the ends of two handles may be for them to agree in angle and length.";
+        dlgInit.handlePnl.editText.characters = 5;
+        (dlgInit.handlePnl.action = dlgInit.handlePnl.add('dropdownlist', undefined, ['Split Sets', 'Skip Sets'])).helpTip="Split a redundant point set where its handles disagree, still merging the points that agree, or skip the whole set.";
+        dlgInit.handlePnl.orientation='row';
+        dlgInit.handlePnl.editText.onChange = handleEditTextChanged;
+        dlgInit.handlePnl.action.onChange = updatePreview;
+
+        /* Add a checkbox and edit box for collinear points */
+        dlgInit.collinearPnl = dlgInit.add('panel', undefined, 'Collinear Points:');
+        (dlgInit.collinearPnl.doCollinear = dlgInit.collinearPnl.add('checkbox', undefined, 'Find Collinear Points')).helpTip="Also find points with retracted handles lying on a straight line between their neighbors, as left by Outline Stroke and Offset Path.";
+        dlgInit.collinearPnl.txt = dlgInit.collinearPnl.add('statictext', undefined, 'Angle (degrees):');
+        (dlgInit.collinearPnl.editText = dlgInit.collinearPnl.add('edittext', undefined, defaults.collinearTolerance)).helpTip="Enter the angle in degrees by which the line may turn at a point for it to still be considered collinear (0 to 45).";
+        dlgInit.collinearPnl.editText.characters = 5;
+        dlgInit.collinearPnl.orientation='row';
+        dlgInit.collinearPnl.editText.onChange = collinearEditTextChanged;
+
+        /* Add a checkbox for coincident points that are not neighbors */
+        dlgInit.coincidentPnl = dlgInit.add('panel', undefined, 'Coincident Points:');
+        (dlgInit.coincidentPnl.doCoincident = dlgInit.coincidentPnl.add('checkbox', undefined, 'Find Non-Adjacent Coincident Points')).helpTip="Also find groups of points within tolerance of each other that are not neighbors along the path, such as the ends of loops left by Offset Path.  They are reported or selected, never removed.";
+        dlgInit.coincidentPnl.alignChildren='left';
+
+        /* Add a checkbox, dropdown and edit box for small self-intersecting loops */
+        dlgInit.loopPnl = dlgInit.add('panel', undefined, 'Small Loops:');
+        (dlgInit.loopPnl.doSmallLoops = dlgInit.loopPnl.add('checkbox', undefined, 'Find Small Loops')).helpTip="Also find the loops a path forms where it crosses itself, such as those Offset Path leaves on the inside of tight curves.  The Remove function cuts them out, placing a corner point where the path crossed.";
+        (dlgInit.loopPnl.measure = dlgInit.loopPnl.add('dropdownlist', undefined, ['Area', 'Perimeter'])).helpTip="Measure each loop by the area it encloses or by the length around it.";
+        dlgInit.loopPnl.txt = dlgInit.loopPnl.add('statictext', undefined, 'Below:');
+        (dlgInit.loopPnl.editText = dlgInit.loopPnl.add('edittext', undefined, defaults.loopThreshold)).helpTip="Enter the size below which loops are found, in square PostScript points for Area or PostScript points for Perimeter.";
+        dlgInit.loopPnl.editText.characters = 5;
+        dlgInit.loopPnl.orientation='row';
+        dlgInit.loopPnl.editText.onChange = loopEditTextChanged;
+        dlgInit.loopPnl.measure.onChange = updatePreview;
+
+        /* Add checkboxes to find and delete degenerate paths */
+        dlgInit.degeneratePnl = dlgInit.add('panel', undefined, 'Degenerate Paths:');
+        (dlgInit.degeneratePnl.doDegenerate = dlgInit.degeneratePnl.add('checkbox', undefined, 'Find Degenerate Paths')).helpTip="Also find paths left with a single point, with all of their points coincident, or closed but enclosing no area.";
+        (dlgInit.degeneratePnl.doDelete = dlgInit.degeneratePnl.add('checkbox', undefined, 'Delete Them')).helpTip="Delete the degenerate paths found by the Remove and Simplify functions.";
+        dlgInit.degeneratePnl.orientation='row';
+        dlgInit.degeneratePnl.doDegenerate.onClick = degenerateClicked;
+
+        /* Add a dropdown and edit box for the Simplify function */
+        dlgInit.simplifyPnl = dlgInit.add('panel', undefined, 'Simplify:');
+        (dlgInit.simplifyPnl.algorithm = dlgInit.simplifyPnl.add('dropdownlist', undefined, ['Douglas-Peucker', 'Visvalingam-Whyatt'])).helpTip="Douglas-Peucker keeps points farther than the tolerance from the simplified line.  Visvalingam-Whyatt removes points forming triangles with their neighbors smaller than the tolerance.";
+        dlgInit.simplifyPnl.txt = dlgInit.simplifyPnl.add('statictext', undefined, 'Tolerance:');
+        (dlgInit.simplifyPnl.editText = dlgInit.simplifyPnl.add('edittext', undefined, defaults.simplifyTolerance)).helpTip="Enter a distance in PostScript points for Douglas-Peucker, or an area in square PostScript points for Visvalingam-Whyatt.";
+        dlgInit.simplifyPnl.editText.characters = 5;
+        dlgInit.simplifyPnl.orientation='row';
+        dlgInit.simplifyPnl.editText.onChange = simplifyEditTextChanged;
+        dlgInit.simplifyPnl.algorithm.onChange = updatePreview;
+
+        /* Add a checkbox to preview the points found while the dialog is open */
+        dlgInit.previewPnl = dlgInit.add('panel', undefined, 'Preview:');
+        (dlgInit.previewPnl.doPreview = dlgInit.previewPnl.add('checkbox', undefined, 'Preview')).helpTip="Mark each redundant point set found with the current options on a temporary layer, which is removed when the dialog closes.";
+        dlgInit.previewPnl.doPreview.value = false;
+        dlgInit.previewPnl.alignChildren='left';
+        dlgInit.previewPnl.doPreview.onClick = updatePreview;
+        dlgInit.functionPnl.doAnalyze.onClick = updatePreview;
+        dlgInit.functionPnl.doRemove.onClick = updatePreview;
+        dlgInit.functionPnl.doSelect.onClick = updatePreview;
+        dlgInit.functionPnl.doSimplify.onClick = updatePreview;
+        dlgInit.functionPnl.doJoin.onClick = updatePreview;
+        dlgInit.selectionPnl.ignoreSelected.onClick = updatePreview;
+        dlgInit.selectionPnl.allSelected.onClick = updatePreview;
+        dlgInit.selectionPnl.anySelected.onClick = updatePreview;
+        dlgInit.optionPnl.includeCompound.onClick = updatePreview;
+        dlgInit.optionPnl.includeLocked.onClick = updatePreview;
+        dlgInit.handlePnl.doHandles.onClick = updatePreview;
+        dlgInit.collinearPnl.doCollinear.onClick = updatePreview;
+        dlgInit.coincidentPnl.doCoincident.onClick = updatePreview;
+        dlgInit.loopPnl.doSmallLoops.onClick = updatePreview;
+        dlgInit.toleranceModePnl.doFixed.onClick = updatePreview;
+        dlgInit.toleranceModePnl.doSize.onClick = updatePreview;
+        dlgInit.toleranceModePnl.doStroke.onClick = updatePreview;
+
         /* Add a panel control removal options */
         dlgInit.removalPnl = dlgInit.add('panel', undefined, 'Removal Options:');
         (dlgInit.removalPnl.doKeepLeadingPoint = dlgInit.removalPnl.add('checkbox', undefined, 'Keep Leading Point' )).helpTip = "Keep the leading point (lowest path index, lowest prior to origin cross for closed path).";
         (dlgInit.removalPnl.doKeepTrailingPoint = dlgInit.removalPnl.add('checkbox', undefined, 'Keep Trailing Point' )).helpTip = "Keep the trailing point (highest path index, highest following origin cross for closed path).";
         (dlgInit.removalPnl.doKeepAveragedPoint = dlgInit.removalPnl.add('checkbox', undefined, 'Keep Averaged Point' )).helpTip = "Keep an averaged point to help smooth transitions.";
         dlgInit.removalPnl.keepTips = dlgInit.removalPnl.add('statictext', undefined, 'Keeping neither will cause position of remaining point to be averaged.  Keeping both will anchor two ends of a segment while removing intermediate redundant points.  An averaged point helps smooth transitions.', {multiline:'true'} );
-        dlgInit.removalPnl.doKeepLeadingPoint.value = false;
-        dlgInit.removalPnl.doKeepTrailingPoint.value = false;
-        dlgInit.removalPnl.doKeepAveragedPoint.value = false;
         dlgInit.removalPnl.alignChildren='left';
         dlgInit.removalPnl.orientation='column';
 
+        /* Add a collapsible panel for the shape fidelity options and the constants used to rebuild the remaining points */
+        dlgInit.advancedPnl = dlgInit.add('panel', undefined, 'Advanced:');
+        (dlgInit.advancedPnl.doShow = dlgInit.advancedPnl.add('checkbox', undefined, 'Show Advanced Options')).helpTip="Show the options limiting how far removals may move the curve, and the constants used to find redundant points and rebuild the points kept.  The defaults suit most artwork.";
+        dlgInit.advancedPnl.fields = dlgInit.advancedPnl.add('group');
+        dlgInit.advancedPnl.fields.deviationPnl = dlgInit.advancedPnl.fields.add('panel', undefined, 'Shape Fidelity:');
+        (dlgInit.advancedPnl.fields.deviationPnl.doLimit = dlgInit.advancedPnl.fields.deviationPnl.add('checkbox', undefined, 'Limit Curve Deviation')).helpTip="Leave a redundant point set as it is if the points rebuilt from it would move the curve, between the points either side of it, farther than the maximum deviation.  The Analyze function counts the sets that would be left.";
+        dlgInit.advancedPnl.fields.deviationPnl.txt = dlgInit.advancedPnl.fields.deviationPnl.add('statictext', undefined, 'Maximum (points):');
+        (dlgInit.advancedPnl.fields.deviationPnl.editText = dlgInit.advancedPnl.fields.deviationPnl.add('edittext', undefined, defaults.maxDeviation)).helpTip="Enter the farthest, in PostScript points, the rebuilt curve may stray from the original one (the Hausdorff distance between them).";
+        dlgInit.advancedPnl.fields.deviationPnl.editText.characters = 5;
+        dlgInit.advancedPnl.fields.deviationPnl.orientation='row';
+        dlgInit.advancedPnl.fields.deviationPnl.alignment='fill';
+        dlgInit.advancedPnl.fields.deviationPnl.doLimit.onClick = updatePreview;
+        dlgInit.advancedPnl.fields.deviationPnl.editText.onChange = deviationEditTextChanged;
+        (dlgInit.advancedPnl.fields.doRefit = dlgInit.advancedPnl.fields.add('checkbox', undefined, 'Refit Handles' )).helpTip = "After removing a set, fit the lengths of the handles of the points kept and of their neighbors to the original curve by least squares.  Handle angles, and so point types, are kept.";
+        dlgInit.advancedPnl.fields.doRefit.alignment='left';
+        dlgInit.advancedPnl.fields.doRefit.onClick = updatePreview;
+        addAdvancedField(dlgInit.advancedPnl.fields, 'tweakThetaToOppositeEndpoint', 'Inner Handle Angle Bias:', "When keeping both the leading and trailing points, how far their inner handles turn from the averaged point, as a multiple of the angle between it and the other kept point.");
+        addAdvancedField(dlgInit.advancedPnl.fields, 'tweakPairDistance', 'Inner Handle Length:', "When keeping both the leading and trailing points, the length of their inner handles as a fraction of the distance to the averaged point.");
+        addAdvancedField(dlgInit.advancedPnl.fields, 'tweakPairDistanceForAveraged', 'Averaged Point Handle Length:', "When also keeping an averaged point, the length of its handles as a fraction of the distance to the leading and trailing points.");
+        addAdvancedField(dlgInit.advancedPnl.fields, 'tweakPairDistanceForEndpoint', 'Endpoint Handle Length:', "When also keeping an averaged point, the length of the inner handles of the leading and trailing points as a fraction of the distance to it.");
+        addAdvancedField(dlgInit.advancedPnl.fields, 'smoothAngleTolerance', 'Smooth Angle (radians):', "When keeping one point, the angle by which its handles may miss being opposite for it to be a smooth point.");
+        addAdvancedField(dlgInit.advancedPnl.fields, 'retractDistance', 'Retract Handles Below (points):', "When keeping one point, handles shorter than this are retracted to its anchor.", true);
+        addAdvancedField(dlgInit.advancedPnl.fields, 'distancePrecision', 'Distance Rounding (points):', "Anchor distances are rounded to this before comparing them to the tolerance.  Enter 0 for no rounding.", true);
+        dlgInit.advancedPnl.fields.alignChildren='right';
+        dlgInit.advancedPnl.fields.orientation='column';
+        dlgInit.advancedPnl.alignChildren='left';
+        dlgInit.advancedPnl.orientation='column';
+        dlgInit.advancedPnl.doShow.onClick = advancedShowClicked;
+
         /* Add execution buttons */
         dlgInit.executeGrp = dlgInit.add('group', undefined, 'Execute:');
         dlgInit.executeGrp.orientation='row';
+        (dlgInit.executeGrp.resetBtn = dlgInit.executeGrp.add('button', undefined, 'Reset to Defaults')).helpTip="Set every option back to its default value.";
         dlgInit.executeGrp.buildBtn1= dlgInit.executeGrp.add('button',undefined, 'Cancel', {name:'cancel'});
         dlgInit.executeGrp.buildBtn2 = dlgInit.executeGrp.add('button', undefined, 'OK', {name:'ok'});
+        dlgInit.executeGrp.resetBtn.onClick= initActionReset;
         dlgInit.executeGrp.buildBtn1.onClick= initActionCanceled;
         dlgInit.executeGrp.buildBtn2.onClick= initActionOk;
 
+        /* Start from the defaults, overridden by the settings of the last run */
+        setDialogSettings(dlgInit, defaults);
+        setDialogSettings(dlgInit, preferences);
+
         dlgInit.frameLocation = [100, 100];
         dlgInit.alignChildren='fill';
         dlgInit.show();
 
+        /* However the dialog was closed, remove any preview artwork */
+        removePreview();
+
         return dlgInit;
 }
 
+/*******************************************************************************
+ * Function: getDialogSettings
+ * Description:
+ *   Return the settings of the dialog input as the first parameter as an
+ *   object, which can be written as JSON and later restored with
+ *   setDialogSettings().  The Preview checkbox is not a setting.
+ */
+function getDialogSettings(dlg) {
+        var settings = getDefaultSettings();
+        var fields = getNumberFields(dlg);
+        var i = 0;
+
+        settings["function"] = dlg.functionPnl.doAnalyze.value ? "analyze" :
+                               dlg.functionPnl.doSelect.value ? "select" :
+                               dlg.functionPnl.doSimplify.value ? "simplify" :
+                               dlg.functionPnl.doJoin.value ? "join" : "remove";
+        settings.selectionState = dlg.selectionPnl.ignoreSelected.value ? "ignore" :
+                                  dlg.selectionPnl.anySelected.value ? "any" : "all";
+        settings.includeCompound = dlg.optionPnl.includeCompound.value;
+        settings.includeLocked = dlg.optionPnl.includeLocked.value;
+        settings.annotate = dlg.optionPnl.doAnnotate.value;
+        settings.exportFormat = dlg.exportPnl.doExportCsv.value ? "csv" :
+                                dlg.exportPnl.doExportJson.value ? "json" : "none";
+        settings.tolerance = getDialogTolerance(dlg);
+        settings.toleranceMode = dlg.toleranceModePnl.doSize.value ? "size" :
+                                 dlg.toleranceModePnl.doStroke.value ? "stroke" : "fixed";
+        settings.handles = dlg.handlePnl.doHandles.value;
+        settings.limitDeviation = dlg.advancedPnl.fields.deviationPnl.doLimit.value;
+        if (dlg.handlePnl.action.selection != null && dlg.handlePnl.action.selection.index == 1) {
+                settings.handleAction = "skip";
+        }
+        settings.collinear = dlg.collinearPnl.doCollinear.value;
+        settings.coincident = dlg.coincidentPnl.doCoincident.value;
+        settings.smallLoops = dlg.loopPnl.doSmallLoops.value;
+        if (dlg.loopPnl.measure.selection != null && dlg.loopPnl.measure.selection.index == 1) {
+                settings.loopMeasure = "perimeter";
+        }
+        settings.degenerate = dlg.degeneratePnl.doDegenerate.value;
+        settings.deleteDegenerate = dlg.degeneratePnl.doDelete.value;
+        if (dlg.simplifyPnl.algorithm.selection != null && dlg.simplifyPnl.algorithm.selection.index == 1) {
+                settings.simplifyAlgorithm = "visvalingam-whyatt";
+        }
+        settings.keepLeadingPoint = dlg.removalPnl.doKeepLeadingPoint.value;
+        settings.keepTrailingPoint = dlg.removalPnl.doKeepTrailingPoint.value;
+        settings.keepAveragedPoint = dlg.removalPnl.doKeepAveragedPoint.value;
+        settings.refit = dlg.advancedPnl.fields.doRefit.value;
+        for (i=0; i<fields.length; i++) {
+                settings[fields[i].name] = getNumberFieldValue(fields[i]);
+        }
+        return settings;
+}
+
+/*******************************************************************************
+ * Function: setDialogSettings
+ * Description:
+ *   Set the controls of the dialog input as the first parameter from a
+ *   settings object input as the second parameter, as returned by
+ *   getDialogSettings().  Controls whose setting is missing or out of range
+ *   are left as they are (see copyValidSettings()).
+ */
+function setDialogSettings(dlg, settings) {
+        var fields = getNumberFields(dlg);
+        var i = 0;
+
+        settings = copyValidSettings(getDialogSettings(dlg), settings);
+
+        dlg.functionPnl.doAnalyze.value = (settings["function"] == "analyze");
+        dlg.functionPnl.doRemove.value = (settings["function"] == "remove");
+        dlg.functionPnl.doSelect.value = (settings["function"] == "select");
+        dlg.functionPnl.doSimplify.value = (settings["function"] == "simplify");
+        dlg.functionPnl.doJoin.value = (settings["function"] == "join");
+        dlg.selectionPnl.ignoreSelected.value = (settings.selectionState == "ignore");
+        dlg.selectionPnl.allSelected.value = (settings.selectionState == "all");
+        dlg.selectionPnl.anySelected.value = (settings.selectionState == "any");
+        dlg.optionPnl.includeCompound.value = settings.includeCompound;
+        dlg.optionPnl.includeLocked.value = settings.includeLocked;
+        dlg.optionPnl.doAnnotate.value = settings.annotate;
+        dlg.exportPnl.doExportNone.value = (settings.exportFormat == "none");
+        dlg.exportPnl.doExportCsv.value = (settings.exportFormat == "csv");
+        dlg.exportPnl.doExportJson.value = (settings.exportFormat == "json");
+        dlg.tolerancePnl.points = settings.tolerance;
+        dlg.tolerancePnl.editText.text = formatLength(settings.tolerance, dlg.tolerancePnl.unit);
+        dlg.tolerancePnl.slide.value = roundToPrecision(settings.tolerance, 0.01);
+        dlg.toleranceModePnl.doFixed.value = (settings.toleranceMode == "fixed");
+        dlg.toleranceModePnl.doSize.value = (settings.toleranceMode == "size");
+        dlg.toleranceModePnl.doStroke.value = (settings.toleranceMode == "stroke");
+        dlg.handlePnl.doHandles.value = settings.handles;
+        dlg.advancedPnl.fields.deviationPnl.doLimit.value = settings.limitDeviation;
+        dlg.handlePnl.action.selection = (settings.handleAction == "skip") ? 1 : 0;
+        dlg.collinearPnl.doCollinear.value = settings.collinear;
+        dlg.coincidentPnl.doCoincident.value = settings.coincident;
+        dlg.loopPnl.doSmallLoops.value = settings.smallLoops;
+        dlg.loopPnl.measure.selection = (settings.loopMeasure == "perimeter") ? 1 : 0;
+        dlg.degeneratePnl.doDegenerate.value = settings.degenerate;
+        dlg.degeneratePnl.doDelete.value = settings.deleteDegenerate;
+        dlg.degeneratePnl.doDelete.enabled = settings.degenerate;
+        dlg.simplifyPnl.algorithm.selection = (settings.simplifyAlgorithm == "visvalingam-whyatt") ? 1 : 0;
+        dlg.removalPnl.doKeepLeadingPoint.value = settings.keepLeadingPoint;
+        dlg.removalPnl.doKeepTrailingPoint.value = settings.keepTrailingPoint;
+        dlg.removalPnl.doKeepAveragedPoint.value = settings.keepAveragedPoint;
+        dlg.advancedPnl.fields.doRefit.value = settings.refit;
+        for (i=0; i<fields.length; i++) {
+                setNumberField(fields[i].editText, settings[fields[i].name]);
+        }
+
+        /* Open the advanced options when one of them is on, so it is not on unseen */
+        if (settings.limitDeviation || settings.refit) {
+                dlg.advancedPnl.doShow.value = true;
+        }
+        showAdvancedOptions(dlg);
+}
+
+/*******************************************************************************
+ * Function: updatePresetList
+ * Description:
+ *   Fill the preset dropdown with the presets in the preset folder, choosing
+ *   the one named by the first parameter, if any, without applying it.
+ */
+function updatePresetList(selectedName) {
+        var presetPnl = dlgInit.presetPnl;
+        var names = getPresetNames(presetPnl.presetFolder);
+        var onChange = presetPnl.preset.onChange;
+        var i = 0;
+
+        /* Setting the selection calls onChange, which would load the preset */
+        presetPnl.preset.onChange = null;
+        presetPnl.preset.removeAll();
+        for (i=0; i<names.length; i++) {
+                presetPnl.preset.add('item', names[i]);
+                if (names[i] == selectedName) {
+                        presetPnl.preset.selection = i;
+                }
+        }
+        presetPnl.preset.onChange = onChange;
+        presetPnl.renameBtn.enabled = (presetPnl.preset.selection != null);
+        presetPnl.deleteBtn.enabled = (presetPnl.preset.selection != null);
+        presetPnl.folderBtn.helpTip = "Choose the folder presets are kept in, such as one shared by a team.\nCurrent folder: " + presetPnl.presetFolder.fsName;
+}
+
+/*******************************************************************************
+ * Function: promptPresetName
+ * Description:
+ *   Ask for a preset name with the message and initial name input as the
+ *   parameters.  Returns the name without leading or trailing spaces, or null
+ *   if the prompt was cancelled or the name is not valid (after an alert).
+ */
+function promptPresetName(message, name) {
+        name = prompt(message, name);
+        if (name == null) {
+                return null;
+        }
+        name = String(name).replace(/^\s+|\s+$/g, "");
+        if (!isValidPresetName(name)) {
+                alert("'" + name + "' is not a valid preset name.  Names may not be empty, start with a period or contain any of \\ / : * ? \" < > | %");
+                return null;
+        }
+        return name;
+}
+
+function presetChanged() {
+        var selection = dlgInit.presetPnl.preset.selection;
+        var settings;
+
+        dlgInit.presetPnl.renameBtn.enabled = (selection != null);
+        dlgInit.presetPnl.deleteBtn.enabled = (selection != null);
+        if (selection == null) {
+                return;
+        }
+        settings = readJsonFile(getPresetFile(dlgInit.presetPnl.presetFolder, selection.text));
+        if (settings == null) {
+                alert("Unable to read the preset '" + selection.text + "'.");
+                return;
+        }
+        setDialogSettings(dlgInit, settings);
+        updatePreview();
+}
+
+function presetSaveClicked() {
+        var selection = dlgInit.presetPnl.preset.selection;
+        var name = promptPresetName("Save the current options as the preset named:", (selection != null) ? selection.text : "");
+        var presetFile;
+
+        if (name == null) {
+                return;
+        }
+        presetFile = getPresetFile(dlgInit.presetPnl.presetFolder, name);
+        if (presetFile.exists && !confirm("Replace the preset '" + name + "'?")) {
+                return;
+        }
+        if (!writeJsonFile(presetFile, getDialogSettings(dlgInit))) {
+                alert("Unable to save the preset '" + name + "' to " + presetFile.fsName);
+                return;
+        }
+        updatePresetList(name);
+}
+
+function presetRenameClicked() {
+        var selection = dlgInit.presetPnl.preset.selection;
+        var presetFile;
+        var name;
+
+        if (selection == null) {
+                return;
+        }
+        name = promptPresetName("Rename the preset '" + selection.text + "' to:", selection.text);
+        if (name == null || name == selection.text) {
+                return;
+        }
+        if (getPresetFile(dlgInit.presetPnl.presetFolder, name).exists) {
+                alert("A preset named '" + name + "' already exists.");
+                return;
+        }
+        presetFile = getPresetFile(dlgInit.presetPnl.presetFolder, selection.text);
+        if (!presetFile.rename(name + ".json")) {
+                alert("Unable to rename the preset '" + selection.text + "'.\n" + presetFile.error);
+                return;
+        }
+        updatePresetList(name);
+}
+
+function presetDeleteClicked() {
+        var selection = dlgInit.presetPnl.preset.selection;
+        var presetFile;
+
+        if (selection == null || !confirm("Delete the preset '" + selection.text + "'?")) {
+                return;
+        }
+        presetFile = getPresetFile(dlgInit.presetPnl.presetFolder, selection.text);
+        if (!presetFile.remove()) {
+                alert("Unable to delete the preset '" + selection.text + "'.\n" + presetFile.error);
+                return;
+        }
+        updatePresetList(null);
+}
+
+function presetFolderClicked() {
+        var presetFolder = Folder.selectDialog("Choose the folder presets are kept in:");
+
+        if (presetFolder == null) {
+                return;
+        }
+        dlgInit.presetPnl.presetFolder = presetFolder;
+        updatePresetList(null);
+}
+
+function initActionReset() {
+        setDialogSettings(dlgInit, getDefaultSettings());
+        updatePreview();
+}
+
 function initActionCanceled() {
         exitError = 1;
         dlgInit.hide();
@@ -1103,86 +854,642 @@ function initActionCanceled() {
 
 function initActionOk() {
         var proceed = true;
+        var preferences;
+        var fields = getNumberFields(dlgInit);
+        var error;
+        var i = 0;
 
         exitError = 0;
 
-        if (dlgInit.tolerancePnl.editText.text > 5.0) {
+        error = getToleranceError(dlgInit);
+        for (i=0; i<fields.length && error == null; i++) {
+                error = readNumberField(fields[i]).error;
+        }
+        if (error != null) {
+                alert(error);
+                return;
+        }
+        if (getDialogTolerance(dlgInit) > 5.0) {
                 proceed = confirm("Tolerance entered greater than 5.0 PostScript points.  Proceed?");
         }
         if (proceed) {
+                preferences = getDialogSettings(dlgInit);
+                preferences.presetFolder = dlgInit.presetPnl.presetFolder.fsName;
+                writeJsonFile(getPreferencesFile(), preferences);
                 dlgInit.hide();
         }
 }
 
 function toleranceSliderChanged() {
-        dlgInit.tolerancePnl.editText.text = roundToPrecision(dlgInit.tolerancePnl.slide.value, 0.01);
+        dlgInit.tolerancePnl.points = roundToPrecision(dlgInit.tolerancePnl.slide.value, 0.01);
+        dlgInit.tolerancePnl.editText.text = formatLength(dlgInit.tolerancePnl.points, dlgInit.tolerancePnl.unit);
+        updatePreview();
+}
+
+function toleranceSliderChanging() {
+        dlgInit.tolerancePnl.points = roundToPrecision(dlgInit.tolerancePnl.slide.value, 0.01);
+        dlgInit.tolerancePnl.editText.text = formatLength(dlgInit.tolerancePnl.points, dlgInit.tolerancePnl.unit);
+
+        /*
+         * Redrawing the preview of a large document takes longer than the slider takes
+         * to move, so skip the moves that come within a quarter second of the last
+         * redraw.  The preview is redrawn for the final tolerance when the slider is
+         * released.
+         */
+        if (new Date().getTime() - previewTime >= 250) {
+                updatePreview();
+                previewTime = new Date().getTime();
+        }
 }
 
 function toleranceEditTextChanged() {
-        if (dlgInit.tolerancePnl.editText.text > 5000) {
-                dlgInit.tolerancePnl.editText.text = 5000;
+        var error = getToleranceError(dlgInit);
+
+        /* Put back the last tolerance that could be read */
+        if (error != null) {
+                alert(error);
+                dlgInit.tolerancePnl.editText.text = formatLength(dlgInit.tolerancePnl.points, dlgInit.tolerancePnl.unit);
+                return;
+        }
+        if (getDialogTolerance(dlgInit) > 5000) {
+                dlgInit.tolerancePnl.editText.text = formatLength(5000, dlgInit.tolerancePnl.unit);
+        }
+        dlgInit.tolerancePnl.points = getDialogTolerance(dlgInit);
+        dlgInit.tolerancePnl.slide.value = roundToPrecision(dlgInit.tolerancePnl.points, 0.01);
+        updatePreview();
+}
+
+/*******************************************************************************
+ * Function: getToleranceError
+ * Description:
+ *   Return a message saying why the tolerance entered in the dialog input as
+ *   the first parameter cannot be used, or null if it can (see
+ *   parseLength()).
+ */
+function getToleranceError(dlg) {
+        var length = parseLength(dlg.tolerancePnl.editText.text, dlg.tolerancePnl.unit);
+
+        if (length.error == null && length.value < 0) {
+                return "The tolerance cannot be negative.";
+        }
+        return length.error;
+}
+
+/*******************************************************************************
+ * Function: getDialogTolerance
+ * Description:
+ *   Return the tolerance entered in the dialog input as the first parameter
+ *   in PostScript points, or the last tolerance that could be read if the
+ *   text cannot be (see getToleranceError()).  While the text is the last
+ *   tolerance as shown by formatLength(), that tolerance is returned
+ *   unrounded.
+ */
+function getDialogTolerance(dlg) {
+        if (getToleranceError(dlg) != null || dlg.tolerancePnl.editText.text == formatLength(dlg.tolerancePnl.points, dlg.tolerancePnl.unit)) {
+                return dlg.tolerancePnl.points;
+        }
+        return parseLength(dlg.tolerancePnl.editText.text, dlg.tolerancePnl.unit).value;
+}
+
+/*******************************************************************************
+ * Function: getNumberFields
+ * Description:
+ *   Return the edit boxes of the dialog input as the parameter holding a
+ *   number setting, other than the tolerance, as an Array of objects holding
+ *   name, the setting, editText, the edit box, and isLength, true if it holds
+ *   a length in PostScript points rather than a plain number.
+ */
+function getNumberFields(dlg) {
+        var fields = new Array();
+        var property;
+
+        fields.push({ name: "sizeTolerance", editText: dlg.toleranceModePnl.sizeText, isLength: false });
+        fields.push({ name: "strokeTolerance", editText: dlg.toleranceModePnl.strokeText, isLength: false });
+        fields.push({ name: "handleTolerance", editText: dlg.handlePnl.editText, isLength: true });
+        fields.push({ name: "maxDeviation", editText: dlg.advancedPnl.fields.deviationPnl.editText, isLength: true });
+        fields.push({ name: "collinearTolerance", editText: dlg.collinearPnl.editText, isLength: false });
+        fields.push({ name: "loopThreshold", editText: dlg.loopPnl.editText,
+                      isLength: (dlg.loopPnl.measure.selection != null && dlg.loopPnl.measure.selection.index == 1) });
+        fields.push({ name: "simplifyTolerance", editText: dlg.simplifyPnl.editText,
+                      isLength: (dlg.simplifyPnl.algorithm.selection == null || dlg.simplifyPnl.algorithm.selection.index == 0) });
+        for (property in getAdvancedSettingRanges()) {
+                fields.push({ name: property, editText: dlg.advancedPnl.fields[property].editText, isLength: dlg.advancedPnl.fields[property].isLength });
+        }
+        return fields;
+}
+
+/*******************************************************************************
+ * Function: getNumberField
+ * Description:
+ *   Return the edit box of the dialog input as the first parameter holding
+ *   the number setting named by the second parameter, as one of the objects
+ *   returned by getNumberFields().
+ */
+function getNumberField(dlg, name) {
+        var fields = getNumberFields(dlg);
+        var i = 0;
+
+        for (i=0; i<fields.length; i++) {
+                if (fields[i].name == name) {
+                        return fields[i];
+                }
+        }
+        return null;
+}
+
+/*******************************************************************************
+ * Function: readNumberField
+ * Description:
+ *   Read the text of an edit box, input as one of the objects returned by
+ *   getNumberFields(), with parseLength() in PostScript points or with
+ *   parseNumber().  Returns the object they return.
+ */
+function readNumberField(field) {
+        return field.isLength ? parseLength(field.editText.text, "pt") : parseNumber(field.editText.text);
+}
+
+/*******************************************************************************
+ * Function: getNumberFieldValue
+ * Description:
+ *   Return the value of an edit box, input as one of the objects returned by
+ *   getNumberFields(), or the last value read from it if its text cannot be
+ *   read.
+ */
+function getNumberFieldValue(field) {
+        var number = readNumberField(field);
+
+        return (number.error == null) ? number.value : field.editText.validValue;
+}
+
+/*******************************************************************************
+ * Function: setNumberField
+ * Description:
+ *   Set the edit box input as the first parameter to the number input as the
+ *   second, which is kept as the last value read from it.
+ */
+function setNumberField(editText, value) {
+        editText.text = value;
+        editText.validValue = value;
+}
+
+/*******************************************************************************
+ * Function: numberFieldChanged
+ * Description:
+ *   Read the text just entered in the edit box of the dialog input as the
+ *   first parameter holding the number setting named by the second (see
+ *   readNumberField()).  If it cannot be read, the error is shown, the edit
+ *   box is set back to the last value read from it and null is returned.
+ *   Otherwise an expression or a length with a unit is replaced by its value,
+ *   in PostScript points for a length, and the value is returned.
+ */
+function numberFieldChanged(dlg, name) {
+        var field = getNumberField(dlg, name);
+        var number = readNumberField(field);
+
+        if (number.error != null) {
+                alert(number.error);
+                field.editText.text = field.editText.validValue;
+                return null;
+        }
+        if (field.editText.text != String(number.value)) {
+                setNumberField(field.editText, Math.round(number.value * 10000) / 10000);
+        }
+        else {
+                field.editText.validValue = number.value;
+        }
+        return field.editText.validValue;
+}
+
+function sizeToleranceChanged() {
+        var value = numberFieldChanged(dlgInit, "sizeTolerance");
+
+        if (value != null && value <= 0) {
+                setNumberField(dlgInit.toleranceModePnl.sizeText, getDefaultSettings().sizeTolerance);
+        }
+        if (value != null && value > 100) {
+                setNumberField(dlgInit.toleranceModePnl.sizeText, 100);
+        }
+        updatePreview();
+}
+
+function strokeToleranceChanged() {
+        var value = numberFieldChanged(dlgInit, "strokeTolerance");
+
+        if (value != null && value <= 0) {
+                setNumberField(dlgInit.toleranceModePnl.strokeText, getDefaultSettings().strokeTolerance);
         }
-        dlgInit.tolerancePnl.slide.value = roundToPrecision(dlgInit.tolerancePnl.editText.text, 0.01);
+        updatePreview();
+}
+
+/*******************************************************************************
+ * Function: addAdvancedField
+ * Description:
+ *   Add a row to the group input as the first parameter for the advanced
+ *   setting named by the second parameter, with the label and help tip input
+ *   as the third and fourth parameters: an edit box and a button resetting it
+ *   to the default.  The fifth parameter is true if the setting is a length
+ *   in PostScript points.  The row is kept in the group under the setting
+ *   name.
+ */
+function addAdvancedField(group, name, label, helpTip, isLength) {
+        var range = getAdvancedSettingRanges()[name];
+        var field = group.add('group');
+
+        field.setting = name;
+        field.isLength = (isLength == true);
+        field.txt = field.add('statictext', undefined, label);
+        (field.editText = field.add('edittext', undefined, getDefaultSettings()[name])).helpTip = helpTip + "  (" + range[0] + " to " + range[1] + ", default " + getDefaultSettings()[name] + ")";
+        field.editText.characters = 6;
+        (field.resetBtn = field.add('button', undefined, 'Reset')).helpTip = "Set back to the default, " + getDefaultSettings()[name] + ".";
+        field.orientation = 'row';
+        field.editText.onChange = advancedEditTextChanged;
+        field.resetBtn.onClick = advancedResetClicked;
+        field.editText.validValue = getDefaultSettings()[name];
+        group[name] = field;
+        return field;
+}
+
+/*******************************************************************************
+ * Function: showAdvancedOptions
+ * Description:
+ *   Show or hide the advanced options of the dialog input as the parameter,
+ *   as its Show Advanced Options checkbox is set.
+ */
+function showAdvancedOptions(dlg) {
+        var fields = dlg.advancedPnl.fields;
+
+        /* A hidden group still takes its space unless it is also sized down */
+        fields.visible = dlg.advancedPnl.doShow.value;
+        fields.maximumSize.height = fields.visible ? 1000 : 0;
+        dlg.layout.layout(true);
+}
+
+function advancedShowClicked() {
+        showAdvancedOptions(dlgInit);
+}
+
+function advancedEditTextChanged() {
+        var field = this.parent;
+        var range = getAdvancedSettingRanges()[field.setting];
+        var validValue = field.editText.validValue;
+        var value = numberFieldChanged(dlgInit, field.setting);
+
+        if (value == null) {
+                return;
+        }
+        /* Put back the last value that was in range */
+        if (value < range[0] || value > range[1]) {
+                alert("Enter a number from " + range[0] + " to " + range[1] + ".");
+                setNumberField(field.editText, validValue);
+                return;
+        }
+        updatePreview();
+}
+
+function advancedResetClicked() {
+        var field = this.parent;
+
+        setNumberField(field.editText, getDefaultSettings()[field.setting]);
+        updatePreview();
+}
+
+function handleEditTextChanged() {
+        var value = numberFieldChanged(dlgInit, "handleTolerance");
+
+        if (value != null && value < 0) {
+                setNumberField(dlgInit.handlePnl.editText, 0);
+        }
+        updatePreview();
+}
+
+function deviationEditTextChanged() {
+        var value = numberFieldChanged(dlgInit, "maxDeviation");
+
+        if (value != null && value <= 0) {
+                setNumberField(dlgInit.advancedPnl.fields.deviationPnl.editText, getDefaultSettings().maxDeviation);
+        }
+        updatePreview();
+}
+
+function simplifyEditTextChanged() {
+        var value = numberFieldChanged(dlgInit, "simplifyTolerance");
+
+        if (value != null && value < 0) {
+                setNumberField(dlgInit.simplifyPnl.editText, 0);
+        }
+        updatePreview();
+}
+
+function loopEditTextChanged() {
+        var value = numberFieldChanged(dlgInit, "loopThreshold");
+
+        if (value != null && value < 0) {
+                setNumberField(dlgInit.loopPnl.editText, 0);
+        }
+        updatePreview();
+}
+
+function degenerateClicked() {
+        dlgInit.degeneratePnl.doDelete.enabled = dlgInit.degeneratePnl.doDegenerate.value;
+}
+
+function collinearEditTextChanged() {
+        var value = numberFieldChanged(dlgInit, "collinearTolerance");
+
+        if (value != null && value < 0) {
+                setNumberField(dlgInit.collinearPnl.editText, 0);
+        }
+        if (value != null && value > 45) {
+                setNumberField(dlgInit.collinearPnl.editText, 45);
+        }
+        updatePreview();
+}
+
+/*******************************************************************************
+ * Function: removePreview
+ * Description:
+ *   Remove the preview layer, if there is one.
+ */
+function removePreview() {
+        if (previewLayer != null) {
+                previewLayer.remove();
+                previewLayer = null;
+                app.redraw();
+        }
+}
+
+/*******************************************************************************
+ * Function: updatePreview
+ * Description:
+ *   Redraw the preview markers for the options currently set in the dialog.
+ *   The paths are found as when the script runs, except that when nothing
+ *   is selected all paths are previewed without asking.  Each redundant
+ *   point set is marked by a magenta circle the size of the tolerance
+ *   applied to its path (at least 4 points across), each collinear or
+ *   simplified point by a cyan one, each group of coincident points that
+ *   are not neighbors by a yellow one, and the crossing of each small loop
+ *   by an orange one.  For the Join function, each joint is marked as a
+ *   redundant point set, sized by the fixed tolerance.
+ */
+function updatePreview() {
+        var docRef;
+        var paths;
+        var points;
+        var pointSets;
+        var rejectedSets;
+        var indicies;
+        var settings = getDialogSettings(dlgInit);
+        var tolerance = settings.tolerance;
+        var includeCompound = dlgInit.optionPnl.includeCompound.value;
+        var includeLocked = dlgInit.optionPnl.includeLocked.value;
+        var anySelected = dlgInit.selectionPnl.anySelected.value;
+        var allSelected = dlgInit.selectionPnl.allSelected.value;
+        var doSimplify = dlgInit.functionPnl.doSimplify.value;
+        var doJoin = dlgInit.functionPnl.doJoin.value;
+        var doHandles = dlgInit.handlePnl.doHandles.value && !doSimplify;
+        var doDeviation = settings.limitDeviation && (settings["function"] == "remove" || settings["function"] == "analyze");
+        var doCollinear = dlgInit.collinearPnl.doCollinear.value && !doSimplify;
+        var doCoincident = dlgInit.coincidentPnl.doCoincident.value && !doSimplify;
+        var doSmallLoops = dlgInit.loopPnl.doSmallLoops.value && !doSimplify;
+        var coincidentGroups;
+        var smallLoops;
+        var pathRecords;
+        var chains;
+        var joined;
+        var setColor = new CMYKColor();
+        var pointColor = new CMYKColor();
+        var coincidentColor = new CMYKColor();
+        var loopColor = new CMYKColor();
+        var i = 0;
+        var j = 0;
+
+        removePreview();
+        if (!dlgInit.previewPnl || !dlgInit.previewPnl.doPreview.value || app.documents.length == 0) {
+                return;
+        }
+
+        docRef = app.activeDocument;
+        setColor.magenta = 100.0;
+        pointColor.cyan = 100.0;
+        coincidentColor.yellow = 100.0;
+        loopColor.magenta = 50.0;
+        loopColor.yellow = 100.0;
+
+        if (docRef.selection.length > 0) {
+                paths = docGetSelectedPaths(docRef, includeCompound, includeLocked);
+        }
+        else {
+                paths = docGetAllPaths(docRef, includeCompound, includeLocked);
+        }
+
+        previewLayer = docRef.layers.add();
+        previewLayer.name = "Redundant Points Preview";
+
+        if (doJoin) {
+                pathRecords = new Array();
+                for (i=0; i<paths.length; i++) {
+                        pathRecords.push({ points: getPathPoints(paths[i]), closed: paths[i].closed, group: paths[i].parent });
+                }
+                chains = findPathJoins(pathRecords, tolerance, anySelected, allSelected, settings.distancePrecision);
+                for (i=0; i<chains.length; i++) {
+                        joined = getJoinedPoints(pathRecords, chains[i]);
+                        for (j=0; j<joined.jointSets.length; j++) {
+                                addPointMarker(previewLayer, getPointSetCenter(joined.points, joined.jointSets[j]), Math.max(2*tolerance, 4), setColor);
+                        }
+                }
+                app.redraw();
+                return;
+        }
+
+        for (i=0; i<paths.length; i++) {
+                points = getPathPoints(paths[i]);
+                tolerance = getPathTolerance(paths[i], settings);
+                pointSets = new Array();
+                indicies = new Array();
+                coincidentGroups = new Array();
+                smallLoops = new Array();
+                if (doSimplify) {
+                        indicies = findSimplifiedPoints(points, paths[i].closed, settings.simplifyAlgorithm,
+                                                        settings.simplifyTolerance, anySelected, allSelected);
+                }
+                else {
+                        pointSets = findRedundantPoints(points, paths[i].closed, tolerance, anySelected, allSelected, settings.distancePrecision);
+                        if (doHandles) {
+                                pointSets = applyHandleCriterion(points, pointSets, settings.handleTolerance, settings.handleAction == "skip").sets;
+                        }
+                        if (doDeviation) {
+                                rejectedSets = new Array();
+                                removeRedundantPoints(points, pointSets, settings.keepLeadingPoint, settings.keepTrailingPoint, settings.keepAveragedPoint,
+                                                      settings, settings.maxDeviation, rejectedSets, paths[i].closed);
+                                pointSets = getRemovableSets(pointSets, rejectedSets);
+                        }
+                        if (doCollinear) {
+                                indicies = findCollinearPoints(points, paths[i].closed, settings.collinearTolerance, anySelected, allSelected);
+                        }
+                        if (doCoincident) {
+                                coincidentGroups = findCoincidentPoints(points, paths[i].closed, tolerance, anySelected, allSelected, settings.distancePrecision);
+                        }
+                        if (doSmallLoops) {
+                                smallLoops = findSmallLoops(points, paths[i].closed, settings.loopMeasure,
+                                                            settings.loopThreshold, anySelected, allSelected);
+                        }
+                }
+                for (j=0; j<pointSets.length; j++) {
+                        addPointMarker(previewLayer, getPointSetCenter(points, pointSets[j]), Math.max(2*tolerance, 4), setColor);
+                }
+                for (j=0; j<indicies.length; j++) {
+                        addPointMarker(previewLayer, points[indicies[j]].anchor, 4, pointColor);
+                }
+                for (j=0; j<coincidentGroups.length; j++) {
+                        addPointMarker(previewLayer, getPointSetCenter(points, coincidentGroups[j].indicies), Math.max(2*tolerance, 4), coincidentColor);
+                }
+                for (j=0; j<smallLoops.length; j++) {
+                        addPointMarker(previewLayer, smallLoops[j].crossing.pair, Math.max(2*tolerance, 4), loopColor);
+                }
+        }
+        app.redraw();
 }
 
 
 /*******************************************************************************
  * Function: doResultsDialog
+ * Description:
+ *   Show the results object returned from processPaths() (second parameter)
+ *   for the settings it ran with (third parameter), along with the tolerance
+ *   applied, the rule each path's tolerance was set by (null for a fixed
+ *   tolerance) and the File the results were exported to, or null.
  */
-function doResultsDialog(dlgResults,
-                         totalPaths,
-                         totalPointsWithRedundancy,
-                         totalPointsToRemove,
-                         totalPointsRemoved,
-                         totalPointsStarting,
-                         totalPointsRemaining,
-                         totalPointsSelected,
-                         tolerance) {
+function doResultsDialog(dlgResults, results, settings, tolerance, toleranceRule, exportFile) {
+        var enabled = getEnabledOptions(settings);
 
         /* Add static text to display results */
         dlgResults.resultsPnl = dlgResults.add('panel', undefined, 'Results:');
         dlgResults.resultsPnl.totalPaths = dlgResults.resultsPnl.add('group');
         dlgResults.resultsPnl.totalPaths.txt = dlgResults.resultsPnl.totalPaths.add('statictext', undefined, 'Paths processed: ');
         dlgResults.resultsPnl.totalPaths.txt.alignment = 'right';
-        dlgResults.resultsPnl.totalPaths.val = dlgResults.resultsPnl.totalPaths.add('statictext', undefined, totalPaths);
+        dlgResults.resultsPnl.totalPaths.val = dlgResults.resultsPnl.totalPaths.add('statictext', undefined, results.totalPaths);
         dlgResults.resultsPnl.totalPaths.val.characters = 10;
         dlgResults.resultsPnl.totalPaths.val.helpTip = "The number of paths processed.";
+        if (enabled.join) {
+                dlgResults.resultsPnl.totalJoins = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalJoins.txt = dlgResults.resultsPnl.totalJoins.add('statictext', undefined, 'Joins made: ');
+                dlgResults.resultsPnl.totalJoins.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalJoins.val = dlgResults.resultsPnl.totalJoins.add('statictext', undefined, results.totalJoins);
+                dlgResults.resultsPnl.totalJoins.val.characters = 10;
+                dlgResults.resultsPnl.totalJoins.val.helpTip = "The number of joints where the ends of two paths were joined.  Each joint is counted as a set of redundant points.";
+        }
         dlgResults.resultsPnl.totalPointsSelected = dlgResults.resultsPnl.add('group');
         dlgResults.resultsPnl.totalPointsSelected.txt = dlgResults.resultsPnl.totalPointsSelected.add('statictext', undefined, 'Total points selected: ');
         dlgResults.resultsPnl.totalPointsSelected.txt.alignment = 'right';
-        dlgResults.resultsPnl.totalPointsSelected.val = dlgResults.resultsPnl.totalPointsSelected.add('statictext', undefined, totalPointsSelected);
+        dlgResults.resultsPnl.totalPointsSelected.val = dlgResults.resultsPnl.totalPointsSelected.add('statictext', undefined, results.totalPointsSelected);
         dlgResults.resultsPnl.totalPointsSelected.val.characters = 10;
         dlgResults.resultsPnl.totalPointsSelected.val.helpTip = "The total number of points initially selected.";
         dlgResults.resultsPnl.separator0 = dlgResults.resultsPnl.add('panel');
         dlgResults.resultsPnl.totalPointsWithRedundancy = dlgResults.resultsPnl.add('group');
         dlgResults.resultsPnl.totalPointsWithRedundancy.txt = dlgResults.resultsPnl.totalPointsWithRedundancy.add('statictext', undefined, 'Points with redundancy: ');
         dlgResults.resultsPnl.totalPointsWithRedundancy.txt.alignment = 'right';
-        dlgResults.resultsPnl.totalPointsWithRedundancy.val = dlgResults.resultsPnl.totalPointsWithRedundancy.add('statictext', undefined, totalPointsWithRedundancy);
+        dlgResults.resultsPnl.totalPointsWithRedundancy.val = dlgResults.resultsPnl.totalPointsWithRedundancy.add('statictext', undefined, results.totalPointsWithRedundancy);
         dlgResults.resultsPnl.totalPointsWithRedundancy.val.characters = 10;
         dlgResults.resultsPnl.totalPointsWithRedundancy.val.helpTip = "The number of points with redundancy.";
         dlgResults.resultsPnl.totalPointsToRemove = dlgResults.resultsPnl.add('group');
         dlgResults.resultsPnl.totalPointsToRemove.txt = dlgResults.resultsPnl.totalPointsToRemove.add('statictext', undefined, 'Redundant points to remove: ');
         dlgResults.resultsPnl.totalPointsToRemove.txt.alignment = 'right';
-        dlgResults.resultsPnl.totalPointsToRemove.val = dlgResults.resultsPnl.totalPointsToRemove.add('statictext', undefined, totalPointsToRemove);
+        dlgResults.resultsPnl.totalPointsToRemove.val = dlgResults.resultsPnl.totalPointsToRemove.add('statictext', undefined, results.totalPointsToRemove);
         dlgResults.resultsPnl.totalPointsToRemove.val.characters = 10;
         dlgResults.resultsPnl.totalPointsToRemove.val.helpTip = "The number of redundant points that would be removed.";
         dlgResults.resultsPnl.totalPointsRemoved = dlgResults.resultsPnl.add('group');
         dlgResults.resultsPnl.totalPointsRemoved.txt = dlgResults.resultsPnl.totalPointsRemoved.add('statictext', undefined, 'Redundant points removed: ');
         dlgResults.resultsPnl.totalPointsRemoved.txt.alignment = 'right';
-        dlgResults.resultsPnl.totalPointsRemoved.val = dlgResults.resultsPnl.totalPointsRemoved.add('statictext', undefined, totalPointsRemoved);
+        dlgResults.resultsPnl.totalPointsRemoved.val = dlgResults.resultsPnl.totalPointsRemoved.add('statictext', undefined, results.totalPointsRemoved);
         dlgResults.resultsPnl.totalPointsRemoved.val.characters = 10;
         dlgResults.resultsPnl.totalPointsRemoved.val.helpTip = "The number of redundant points that were removed.";
+        if (enabled.handles) {
+                dlgResults.resultsPnl.totalHandleSetsFailed = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalHandleSetsFailed.txt = dlgResults.resultsPnl.totalHandleSetsFailed.add('statictext', undefined, (settings.handleAction == "skip") ? 'Point sets skipped for handles: ' : 'Point sets split for handles: ');
+                dlgResults.resultsPnl.totalHandleSetsFailed.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalHandleSetsFailed.val = dlgResults.resultsPnl.totalHandleSetsFailed.add('statictext', undefined, results.totalHandleSetsFailed);
+                dlgResults.resultsPnl.totalHandleSetsFailed.val.characters = 10;
+                dlgResults.resultsPnl.totalHandleSetsFailed.val.helpTip = "The number of redundant point sets whose direction handles disagree, and so were not merged whole.";
+        }
+        if (enabled.deviation) {
+                dlgResults.resultsPnl.totalSetsRejected = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalSetsRejected.txt = dlgResults.resultsPnl.totalSetsRejected.add('statictext', undefined, 'Point sets rejected for deviation: ');
+                dlgResults.resultsPnl.totalSetsRejected.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalSetsRejected.val = dlgResults.resultsPnl.totalSetsRejected.add('statictext', undefined, results.totalSetsRejected);
+                dlgResults.resultsPnl.totalSetsRejected.val.characters = 10;
+                dlgResults.resultsPnl.totalSetsRejected.val.helpTip = "The number of redundant point sets left as they were, because rebuilding them would move the curve farther than the maximum deviation.";
+        }
+        if (enabled.collinear) {
+                dlgResults.resultsPnl.separatorCollinear = dlgResults.resultsPnl.add('panel');
+                dlgResults.resultsPnl.totalCollinearPoints = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalCollinearPoints.txt = dlgResults.resultsPnl.totalCollinearPoints.add('statictext', undefined, 'Collinear points found: ');
+                dlgResults.resultsPnl.totalCollinearPoints.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalCollinearPoints.val = dlgResults.resultsPnl.totalCollinearPoints.add('statictext', undefined, results.totalCollinearPoints);
+                dlgResults.resultsPnl.totalCollinearPoints.val.characters = 10;
+                dlgResults.resultsPnl.totalCollinearPoints.val.helpTip = "The number of points lying on a straight line between their neighbors.";
+                dlgResults.resultsPnl.totalCollinearRemoved = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalCollinearRemoved.txt = dlgResults.resultsPnl.totalCollinearRemoved.add('statictext', undefined, 'Collinear points removed: ');
+                dlgResults.resultsPnl.totalCollinearRemoved.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalCollinearRemoved.val = dlgResults.resultsPnl.totalCollinearRemoved.add('statictext', undefined, results.totalCollinearRemoved);
+                dlgResults.resultsPnl.totalCollinearRemoved.val.characters = 10;
+                dlgResults.resultsPnl.totalCollinearRemoved.val.helpTip = "The number of collinear points that were removed, found again after removing redundant points.";
+        }
+        if (enabled.coincident) {
+                dlgResults.resultsPnl.separatorCoincident = dlgResults.resultsPnl.add('panel');
+                dlgResults.resultsPnl.totalCoincidentGroups = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalCoincidentGroups.txt = dlgResults.resultsPnl.totalCoincidentGroups.add('statictext', undefined, 'Coincident point groups found: ');
+                dlgResults.resultsPnl.totalCoincidentGroups.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalCoincidentGroups.val = dlgResults.resultsPnl.totalCoincidentGroups.add('statictext', undefined, results.totalCoincidentGroups);
+                dlgResults.resultsPnl.totalCoincidentGroups.val.characters = 10;
+                dlgResults.resultsPnl.totalCoincidentGroups.val.helpTip = "The number of groups of points within tolerance of each other that are not neighbors along their path.";
+                dlgResults.resultsPnl.shortestLoopLength = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.shortestLoopLength.txt = dlgResults.resultsPnl.shortestLoopLength.add('statictext', undefined, 'Shortest loop length: ');
+                dlgResults.resultsPnl.shortestLoopLength.txt.alignment = 'right';
+                dlgResults.resultsPnl.shortestLoopLength.val = dlgResults.resultsPnl.shortestLoopLength.add('statictext', undefined, (results.shortestLoopLength == null) ? "-" : roundToPrecision(results.shortestLoopLength, 0.01));
+                dlgResults.resultsPnl.shortestLoopLength.val.characters = 10;
+                dlgResults.resultsPnl.shortestLoopLength.val.helpTip = "The length along the path, in PostScript points, of the shortest loop between coincident points.  The length of each loop is given in the annotations and the exported results.";
+        }
+        if (enabled.smallLoops) {
+                dlgResults.resultsPnl.separatorSmallLoops = dlgResults.resultsPnl.add('panel');
+                dlgResults.resultsPnl.totalSmallLoops = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalSmallLoops.txt = dlgResults.resultsPnl.totalSmallLoops.add('statictext', undefined, 'Small loops found: ');
+                dlgResults.resultsPnl.totalSmallLoops.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalSmallLoops.val = dlgResults.resultsPnl.totalSmallLoops.add('statictext', undefined, results.totalSmallLoops);
+                dlgResults.resultsPnl.totalSmallLoops.val.characters = 10;
+                dlgResults.resultsPnl.totalSmallLoops.val.helpTip = "The number of loops formed where a path crosses itself that are smaller than the threshold.";
+                dlgResults.resultsPnl.totalSmallLoopsRemoved = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalSmallLoopsRemoved.txt = dlgResults.resultsPnl.totalSmallLoopsRemoved.add('statictext', undefined, 'Small loops removed: ');
+                dlgResults.resultsPnl.totalSmallLoopsRemoved.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalSmallLoopsRemoved.val = dlgResults.resultsPnl.totalSmallLoopsRemoved.add('statictext', undefined, results.totalSmallLoopsRemoved);
+                dlgResults.resultsPnl.totalSmallLoopsRemoved.val.characters = 10;
+                dlgResults.resultsPnl.totalSmallLoopsRemoved.val.helpTip = "The number of small loops that were cut out, each leaving a corner point where its path crossed itself.";
+        }
+        if (enabled.degenerate) {
+                dlgResults.resultsPnl.separatorDegenerate = dlgResults.resultsPnl.add('panel');
+                dlgResults.resultsPnl.totalDegeneratePaths = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalDegeneratePaths.txt = dlgResults.resultsPnl.totalDegeneratePaths.add('statictext', undefined, 'Degenerate paths found: ');
+                dlgResults.resultsPnl.totalDegeneratePaths.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalDegeneratePaths.val = dlgResults.resultsPnl.totalDegeneratePaths.add('statictext', undefined, results.totalDegeneratePaths);
+                dlgResults.resultsPnl.totalDegeneratePaths.val.characters = 10;
+                dlgResults.resultsPnl.totalDegeneratePaths.val.helpTip = "The number of paths with a single point, with all of their points coincident, or closed but enclosing no area.";
+                dlgResults.resultsPnl.totalDegenerateDeleted = dlgResults.resultsPnl.add('group');
+                dlgResults.resultsPnl.totalDegenerateDeleted.txt = dlgResults.resultsPnl.totalDegenerateDeleted.add('statictext', undefined, 'Degenerate paths deleted: ');
+                dlgResults.resultsPnl.totalDegenerateDeleted.txt.alignment = 'right';
+                dlgResults.resultsPnl.totalDegenerateDeleted.val = dlgResults.resultsPnl.totalDegenerateDeleted.add('statictext', undefined, results.totalDegenerateDeleted);
+                dlgResults.resultsPnl.totalDegenerateDeleted.val.characters = 10;
+                dlgResults.resultsPnl.totalDegenerateDeleted.val.helpTip = "The number of degenerate paths that were deleted.  Deleted paths cannot be restored with RevertRedundantPoints.jsx.";
+        }
         dlgResults.resultsPnl.separator1 = dlgResults.resultsPnl.add('panel');
         dlgResults.resultsPnl.totalPointsStarting = dlgResults.resultsPnl.add('group');
         dlgResults.resultsPnl.totalPointsStarting.txt = dlgResults.resultsPnl.totalPointsStarting.add('statictext', undefined, 'Total points starting: ');
         dlgResults.resultsPnl.totalPointsStarting.txt.alignment = 'right';
-        dlgResults.resultsPnl.totalPointsStarting.val = dlgResults.resultsPnl.totalPointsStarting.add('statictext', undefined, totalPointsStarting);
+        dlgResults.resultsPnl.totalPointsStarting.val = dlgResults.resultsPnl.totalPointsStarting.add('statictext', undefined, results.totalPointsStarting);
         dlgResults.resultsPnl.totalPointsStarting.val.characters = 10;
         dlgResults.resultsPnl.totalPointsStarting.helpTip = "The total number of points before processing.";
         dlgResults.resultsPnl.totalPointsRemaining = dlgResults.resultsPnl.add('group');
         dlgResults.resultsPnl.totalPointsRemaining.txt = dlgResults.resultsPnl.totalPointsRemaining.add('statictext', undefined, 'Total points remaining: ');
         dlgResults.resultsPnl.totalPointsRemaining.txt.alignment = 'right';
-        dlgResults.resultsPnl.totalPointsRemaining.val = dlgResults.resultsPnl.totalPointsRemaining.add('statictext', undefined, totalPointsRemaining);
+        dlgResults.resultsPnl.totalPointsRemaining.val = dlgResults.resultsPnl.totalPointsRemaining.add('statictext', undefined, results.totalPointsRemaining);
         dlgResults.resultsPnl.totalPointsRemaining.val.characters = 10;
         dlgResults.resultsPnl.totalPointsRemaining.val.helpTip = "The total number of points after processing.";
         dlgResults.resultsPnl.alignChildren='right';
@@ -1190,8 +1497,54 @@ function doResultsDialog(dlgResults,
         dlgResults.note = dlgResults.add('group');
         dlgResults.note.txt = dlgResults.note.add('statictext', undefined, 'Combined results across paths qualified based on options');
         dlgResults.tolerance = dlgResults.add('group');
-        dlgResults.tolerance.txt = dlgResults.tolerance.add('statictext', undefined, "Tolerance applied (in PostScript points): ");
-        dlgResults.tolerance.val = dlgResults.tolerance.add('statictext', undefined, tolerance);
+        if (enabled.simplify && settings.simplifyAlgorithm == "visvalingam-whyatt") {
+                dlgResults.tolerance.txt = dlgResults.tolerance.add('statictext', undefined, "Visvalingam-Whyatt tolerance applied (in square PostScript points): ");
+                dlgResults.tolerance.val = dlgResults.tolerance.add('statictext', undefined, settings.simplifyTolerance);
+        }
+        else if (enabled.simplify) {
+                dlgResults.tolerance.txt = dlgResults.tolerance.add('statictext', undefined, "Douglas-Peucker tolerance applied (in PostScript points): ");
+                dlgResults.tolerance.val = dlgResults.tolerance.add('statictext', undefined, settings.simplifyTolerance);
+        }
+        else {
+                dlgResults.tolerance.txt = dlgResults.tolerance.add('statictext', undefined, "Tolerance applied (in PostScript points): ");
+                dlgResults.tolerance.val = dlgResults.tolerance.add('statictext', undefined, tolerance);
+        }
+        if (toleranceRule != null) {
+                dlgResults.toleranceRule = dlgResults.add('group');
+                dlgResults.toleranceRule.txt = dlgResults.toleranceRule.add('statictext', undefined, "Tolerance of each path set to: ");
+                dlgResults.toleranceRule.val = dlgResults.toleranceRule.add('statictext', undefined, toleranceRule);
+        }
+        if (enabled.handles) {
+                dlgResults.handleTolerance = dlgResults.add('group');
+                dlgResults.handleTolerance.txt = dlgResults.handleTolerance.add('statictext', undefined, "Handle tolerance applied (in PostScript points): ");
+                dlgResults.handleTolerance.val = dlgResults.handleTolerance.add('statictext', undefined, settings.handleTolerance);
+        }
+        if (enabled.deviation) {
+                dlgResults.maxDeviation = dlgResults.add('group');
+                dlgResults.maxDeviation.txt = dlgResults.maxDeviation.add('statictext', undefined, "Maximum deviation applied (in PostScript points): ");
+                dlgResults.maxDeviation.val = dlgResults.maxDeviation.add('statictext', undefined, settings.maxDeviation);
+        }
+        if (enabled.collinear) {
+                dlgResults.collinearTolerance = dlgResults.add('group');
+                dlgResults.collinearTolerance.txt = dlgResults.collinearTolerance.add('statictext', undefined, "Collinear angle tolerance applied (in degrees): ");
+                dlgResults.collinearTolerance.val = dlgResults.collinearTolerance.add('statictext', undefined, settings.collinearTolerance);
+        }
+        if (enabled.smallLoops) {
+                dlgResults.loopThreshold = dlgResults.add('group');
+                dlgResults.loopThreshold.txt = dlgResults.loopThreshold.add('statictext', undefined, (settings.loopMeasure == "perimeter") ?
+                                                                            "Small loop perimeter threshold applied (in PostScript points): " :
+                                                                            "Small loop area threshold applied (in square PostScript points): ");
+                dlgResults.loopThreshold.val = dlgResults.loopThreshold.add('statictext', undefined, settings.loopThreshold);
+        }
+        if (exportFile != null) {
+                dlgResults.exportFile = dlgResults.add('group');
+                dlgResults.exportFile.txt = dlgResults.exportFile.add('statictext', undefined, "Results exported to: ");
+                dlgResults.exportFile.val = dlgResults.exportFile.add('statictext', undefined, exportFile.fsName);
+        }
+        if (results.totalPathsChanged > 0) {
+                dlgResults.revert = dlgResults.add('group');
+                dlgResults.revert.txt = dlgResults.revert.add('statictext', undefined, "Original points of " + results.totalPathsChanged + " changed paths stored.  Run RevertRedundantPoints.jsx to restore them.");
+        }
 
         /* Add execution buttons */
         dlgResults.executeGrp = dlgResults.add('group', undefined, 'Execute:');
@@ -0,0 +1,101 @@
+/*
+  RevertRedundantPoints.jsx
+  A Javascript for Adobe Illustrator
+
+  Purpose:
+  Revert the last cleanup done by RemoveRedundantPoints.jsx or
+  BatchRemoveRedundantPoints.jsx on the active document.  Each path changed
+  by the Remove or Simplify functions carries its original points (anchors,
+  direction handles and PointType) in a tag saved with the document, so
+  paths can be reverted after Illustrator's undo history is gone, even after
+  the document is saved and reopened.  Only the paths changed by the last run
+  are reverted, restoring exactly the points they had before it.  Running the
+  script again reverts the run before that one, back to the tenth last run
+  to change each path.
+
+  Changes made to a path after the cleanup are lost when it is reverted.  A
+  path deleted since the cleanup cannot be reverted.
+
+  To Use:
+  Run the script, and confirm the number of paths to revert.
+
+  RedundantPointsCore.jsxinc and RedundantPointsDocument.jsxinc must be kept
+  in the same folder as this script.
+
+  Rights:
+  This work is licensed under the Creative Commons Attribution 3.0 United States
+  License. To view a copy of this license, visit
+  http://creativecommons.org/licenses/by/3.0/us/
+  or send a letter to Creative Commons, 171 Second Street, Suite 300,
+  San Francisco, California, 94105, USA.
+
+  Version History:
+
+  1.0   261018 Initial release.
+*/
+
+
+//@include "RedundantPointsCore.jsxinc"
+//@include "RedundantPointsDocument.jsxinc"
+
+
+/*******************************************************************************
+/*******************************************************************************
+/*******************************************************************************
+* Main code
+*/
+var exitError;
+var docRef = app.activeDocument;
+var originalTags = new Array();
+var lastRun = null;
+var totalPathsReverted = 0;
+var totalPathsFailed = 0;
+var i = 0;
+
+try {
+        exitError = 99;
+
+        originalTags = getOriginalPointsTags(docRef);
+        for (i=0; i<originalTags.length; i++) {
+                if (lastRun == null || originalTags[i].run > lastRun) {
+                        lastRun = originalTags[i].run;
+                }
+        }
+        if (lastRun == null) {
+                exitError = 2;
+                throw("exit");
+        }
+
+        originalTags = getOriginalPointsTags(docRef, lastRun);
+        if (!confirm("Revert " + originalTags.length + " paths to their points before the cleanup of " + new Date(lastRun) + "?")) {
+                exitError = 1;
+                throw("exit");
+        }
+
+        for (i=0; i<originalTags.length; i++) {
+                try {
+                        if (restoreOriginalPoints(originalTags[i].path, originalTags[i].tag)) {
+                                totalPathsReverted++;
+                        }
+                        else {
+                                totalPathsFailed++;
+                        }
+                }
+                catch(er) {
+                        totalPathsFailed++;
+                }
+        }
+
+        exitError = 0;
+        alert("Paths reverted: " + totalPathsReverted +
+              ((totalPathsFailed > 0) ? "\nPaths that could not be reverted: " + totalPathsFailed : ""));
+}
+catch(er)
+{
+        if (exitError == 2) {
+                alert("No cleanup to revert in this document.");
+        }
+        if (exitError == 99) {
+                alert("ACK! Unexplained error\n" + er);
+        }
+}
@@ -0,0 +1,355 @@
+/*
+  geojson.js
+  Remove redundant vertices from the lines and polygons of GeoJSON data
+
+  Purpose:
+  Run the redundant point search and removal, or the Simplify function, of
+  RemoveRedundantPoints.jsx (see RedundantPointsCore.jsxinc) on the
+  coordinates of GeoJSON geometries.  Each LineString is an open path and each
+  Polygon ring a closed path, so the search wraps around the start of a ring
+  as it does for closed paths in Illustrator.  The closing position of a ring
+  is dropped before the search and appended again afterwards.  When the first
+  position of a ring is removed, the ring starts instead at the position kept
+  for its redundant set.  Vertices are straight corner points, so the keep
+  leading, trailing and averaged rules apply to positions only.
+
+  The tolerance is in map units (the units of the coordinates).  Distances are
+  not rounded to hundredths as they are for points in Illustrator, since a
+  hundredth of a degree is far too coarse.
+
+  Feature properties, ids and any members other than the coordinates are left
+  as they are, as are positions beyond x and y (elevation) of the points kept.
+  A line or ring is left unchanged, and counted as skipped, when removal would
+  leave it with fewer positions than GeoJSON allows (2 for a line, 3 distinct
+  for a ring).
+
+  To Use:
+        var geojson = require("./tools/geojson");
+        var result = geojson.cleanGeoJson(data, { tolerance: 0.0001 });
+
+  data is a FeatureCollection, Feature or geometry object and is not changed.
+  result.geojson holds the cleaned copy, result.features the counts for each
+  feature and result.totals the counts combined, named after the results
+  dialog of RemoveRedundantPoints.jsx.  Pass analyze: true to count without
+  removing, or simplify: "douglas-peucker" or "visvalingam-whyatt" with a
+  simplifyTolerance (a distance or area in map units) to simplify instead.
+  As in the results dialog, each point simplified away counts as a point
+  with redundancy.  The command line is tools/pathclean.js.
+*/
+
+var core = require("../RedundantPointsCore.jsxinc");
+
+
+/*******************************************************************************
+ * Function: newCounts
+ * Description:
+ *   Return a counts object with every count at zero.
+ */
+function newCounts() {
+        return {
+                totalPaths: 0,
+                totalPointsWithRedundancy: 0,
+                totalPointsToRemove: 0,
+                totalPointsRemoved: 0,
+                totalPointsStarting: 0,
+                totalPointsRemaining: 0,
+                totalPathsSkipped: 0
+        };
+}
+
+/*******************************************************************************
+ * Function: addCounts
+ * Description:
+ *   Add the counts of the second parameter to those of the first.
+ */
+function addCounts(counts, more) {
+        Object.keys(counts).forEach(function (name) {
+                counts[name] += more[name];
+        });
+        return counts;
+}
+
+/*******************************************************************************
+ * Function: positionsToPoints
+ * Description:
+ *   Return point records for an array of GeoJSON positions.  Handles are
+ *   retracted to the anchor, any coordinates after x and y are kept in the
+ *   extra property of the record, and the index of the position in the index
+ *   property.
+ */
+function positionsToPoints(positions) {
+        return positions.map(function (position, index) {
+                return {
+                        anchor: [position[0], position[1]],
+                        leftDirection: [position[0], position[1]],
+                        rightDirection: [position[0], position[1]],
+                        pointType: "CORNER",
+                        selected: false,
+                        extra: position.slice(2),
+                        index: index
+                };
+        });
+}
+
+/*******************************************************************************
+ * Function: pointsToPositions
+ * Description:
+ *   Return GeoJSON positions for an array of point records, the reverse of
+ *   positionsToPoints().
+ */
+function pointsToPositions(points) {
+        return points.map(function (point) {
+                return [point.anchor[0], point.anchor[1]].concat(point.extra || []);
+        });
+}
+
+/*******************************************************************************
+ * Function: samePosition
+ * Description:
+ *   Return true when two positions have the same x and y.
+ */
+function samePosition(a, b) {
+        return a[0] == b[0] && a[1] == b[1];
+}
+
+/*******************************************************************************
+ * Function: startRing
+ * Description:
+ *   Return the cleaned point records of a ring, input as the first parameter,
+ *   starting at the first point kept from the redundant set in the array
+ *   input as the second parameter that held the first position of the ring.
+ *   The points are returned as they are if the first position was kept, or
+ *   no point of its set was.
+ */
+function startRing(points, sets) {
+        var indicies = points.map(function (point) {
+                return point.index;
+        });
+        var firstSet = sets.filter(function (set) {
+                return set.indexOf(0) >= 0;
+        })[0];
+        var start = -1;
+        var i = 0;
+
+        if (firstSet == null || indicies[0] == 0) {
+                return points;
+        }
+        for (i=0; i<firstSet.length && start < 0; i++) {
+                start = indicies.indexOf(firstSet[i]);
+        }
+        if (start < 0) {
+                return points;
+        }
+        return points.slice(start).concat(points.slice(0, start));
+}
+
+/*******************************************************************************
+ * Function: cleanPositions
+ * Description:
+ *   Clean one line (closed false) or ring (closed true) of positions, adding
+ *   its counts to the counts object.  Returns the new positions.
+ */
+function cleanPositions(positions, closed, options, counts) {
+        var open = positions.slice();
+        var points;
+        var sets;
+        var simplified;
+        var toRemove;
+        var cleaned;
+        var result;
+
+        if (closed && open.length > 1 && samePosition(open[0], open[open.length - 1])) {
+                open.pop();
+        }
+        points = positionsToPoints(open);
+        if (options.simplify) {
+                simplified = core.findSimplifiedPoints(points, closed, options.simplify,
+                                                       options.simplifyTolerance, false, false);
+                sets = simplified.map(function (index) {
+                        return [index];
+                });
+                toRemove = simplified.length;
+        }
+        else {
+                sets = core.findRedundantPoints(points, closed, options.tolerance, false, false, 0);
+                toRemove = core.countRedundantPoints(sets, options.keepLeadingPoint, options.keepTrailingPoint);
+        }
+
+        counts.totalPaths++;
+        counts.totalPointsWithRedundancy += sets.length;
+        counts.totalPointsToRemove += toRemove;
+        counts.totalPointsStarting += points.length;
+
+        if (options.analyze || sets.length == 0) {
+                counts.totalPointsRemaining += points.length;
+                return positions;
+        }
+        if (options.simplify) {
+                cleaned = core.removeIndexedPoints(points, simplified);
+        }
+        else {
+                cleaned = core.removeRedundantPoints(points, sets, options.keepLeadingPoint,
+                                                     options.keepTrailingPoint, options.keepAveragedPoint);
+        }
+        if (cleaned.length < (closed ? 3 : 2)) {
+                counts.totalPathsSkipped++;
+                counts.totalPointsRemaining += points.length;
+                return positions;
+        }
+        counts.totalPointsRemoved += points.length - cleaned.length;
+        counts.totalPointsRemaining += cleaned.length;
+
+        if (closed) {
+                cleaned = startRing(cleaned, sets);
+        }
+        result = pointsToPositions(cleaned);
+        if (closed) {
+                result.push(result[0].slice());
+        }
+        return result;
+}
+
+/*******************************************************************************
+ * Function: cleanGeometry
+ * Description:
+ *   Return a cleaned copy of a geometry object, adding its counts to the
+ *   counts object.  Point geometries and null are returned as they are.
+ */
+function cleanGeometry(geometry, options, counts) {
+        var copy;
+
+        if (geometry == null) {
+                return geometry;
+        }
+        copy = Object.assign({}, geometry);
+        switch (geometry.type) {
+        case "LineString":
+                copy.coordinates = cleanPositions(geometry.coordinates, false, options, counts);
+                break;
+        case "MultiLineString":
+                copy.coordinates = geometry.coordinates.map(function (line) {
+                        return cleanPositions(line, false, options, counts);
+                });
+                break;
+        case "Polygon":
+                copy.coordinates = geometry.coordinates.map(function (ring) {
+                        return cleanPositions(ring, true, options, counts);
+                });
+                break;
+        case "MultiPolygon":
+                copy.coordinates = geometry.coordinates.map(function (polygon) {
+                        return polygon.map(function (ring) {
+                                return cleanPositions(ring, true, options, counts);
+                        });
+                });
+                break;
+        case "GeometryCollection":
+                copy.geometries = geometry.geometries.map(function (member) {
+                        return cleanGeometry(member, options, counts);
+                });
+                break;
+        case "Point":
+        case "MultiPoint":
+                break;
+        default:
+                throw new Error("Unknown geometry type " + geometry.type);
+        }
+        return copy;
+}
+
+/*******************************************************************************
+ * Function: featureName
+ * Description:
+ *   Return the name a feature is reported under: its id, else its name
+ *   property, else its index in the collection.
+ */
+function featureName(feature, index) {
+        if (feature.id != null) {
+                return String(feature.id);
+        }
+        if (feature.properties && feature.properties.name != null) {
+                return String(feature.properties.name);
+        }
+        return "#" + index;
+}
+
+/*******************************************************************************
+ * Function: cleanGeoJson
+ * Description:
+ *   Clean a GeoJSON object (see the top of this file).  The options are
+ *   tolerance (map units, default 5), keepLeadingPoint, keepTrailingPoint,
+ *   keepAveragedPoint, analyze, simplify and simplifyTolerance (default 1).
+ */
+function cleanGeoJson(data, options) {
+        var settings = Object.assign({ tolerance: 5, simplifyTolerance: 1 }, options);
+        var features = [];
+        var totals = newCounts();
+        var result;
+
+        function cleanFeature(feature, index) {
+                var counts = newCounts();
+                var copy = Object.assign({}, feature);
+
+                copy.geometry = cleanGeometry(feature.geometry, settings, counts);
+                features.push({ name: featureName(feature, index), index: index, counts: counts });
+                addCounts(totals, counts);
+                return copy;
+        }
+
+        if (data == null || typeof data.type != "string") {
+                throw new Error("Not a GeoJSON object");
+        }
+        if (data.type == "FeatureCollection") {
+                result = Object.assign({}, data);
+                result.features = data.features.map(cleanFeature);
+        }
+        else if (data.type == "Feature") {
+                result = cleanFeature(data, 0);
+        }
+        else {
+                result = cleanFeature({ type: "Feature", properties: null, geometry: data }, 0).geometry;
+        }
+        return { geojson: result, features: features, totals: totals };
+}
+
+/*******************************************************************************
+ * Function: formatReport
+ * Description:
+ *   Return the lines of a tab separated report of the counts for each
+ *   feature of a cleanGeoJson() result, followed by the totals.
+ */
+function formatReport(result) {
+        var columns = [
+                ["totalPaths", "Paths processed"],
+                ["totalPointsWithRedundancy", "Points with redundancy"],
+                ["totalPointsToRemove", "Redundant points to remove"],
+                ["totalPointsRemoved", "Redundant points removed"],
+                ["totalPointsStarting", "Total points starting"],
+                ["totalPointsRemaining", "Total points remaining"],
+                ["totalPathsSkipped", "Paths skipped"]
+        ];
+        var lines = [];
+
+        function row(name, counts) {
+                return [name].concat(columns.map(function (column) {
+                        return counts[column[0]];
+                })).join("\t");
+        }
+
+        lines.push(["Feature"].concat(columns.map(function (column) {
+                return column[1];
+        })).join("\t"));
+        result.features.forEach(function (feature) {
+                lines.push(row(feature.name, feature.counts));
+        });
+        lines.push(row("Total", result.totals));
+        return lines;
+}
+
+
+module.exports = {
+        cleanGeoJson: cleanGeoJson,
+        cleanGeometry: cleanGeometry,
+        cleanPositions: cleanPositions,
+        formatReport: formatReport
+};
@@ -0,0 +1,1851 @@
+/*
+  illustrator-dom.js
+  An in-memory stand-in for the parts of the Illustrator scripting DOM and
+  ScriptUI used by the scripts in this folder
+
+  Purpose:
+  Lets RemoveRedundantPoints.jsx, SegmentToSandbox.jsx and SmoothCurvePoints.jsx
+  run under Node.  Documents are built from a plain description (see
+  createDocument()) and can be described again after a script has run (see
+  describeDocument()), so document mutations can be checked end to end.
+  Dialogs are answered from a queue of canned answers (see Window.prototype.show).
+
+  Only what the scripts use is modelled.  Like Illustrator, the mock refuses
+  to modify the points of a locked path or of a path inside a locked or
+  hidden container, and returns copies of coordinate arrays.
+
+  Collections are live: index 0 is the topmost item, as in Illustrator.
+
+  Illustrator files cannot be read here, so app.open() reads, and
+  Document.save() and saveAs() write, document descriptions as JSON.
+*/
+
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+var util = require("util");
+
+
+/*******************************************************************************
+ * Enumerations
+ */
+function Enumerator(typename, name) {
+        this.typename = typename;
+        this.name = name;
+}
+Enumerator.prototype.toString = function () {
+        return this.typename + "." + this.name;
+};
+Enumerator.prototype[util.inspect.custom] = Enumerator.prototype.toString;
+
+function makeEnumeration(typename, names) {
+        var enumeration = {};
+        var i = 0;
+
+        for (i=0; i<names.length; i++) {
+                enumeration[names[i]] = new Enumerator(typename, names[i]);
+        }
+        return enumeration;
+}
+
+var PointType = makeEnumeration("PointType", ["SMOOTH", "CORNER"]);
+var PathPointSelection = makeEnumeration("PathPointSelection",
+                                         ["NOSELECTION", "ANCHORPOINT", "LEFTDIRECTION",
+                                          "RIGHTDIRECTION", "LEFTRIGHTPOINT"]);
+var ZOrderMethod = makeEnumeration("ZOrderMethod",
+                                   ["BRINGTOFRONT", "BRINGFORWARD", "SENDBACKWARD", "SENDTOBACK"]);
+var SaveOptions = makeEnumeration("SaveOptions",
+                                  ["SAVECHANGES", "DONOTSAVECHANGES", "PROMPTTOSAVECHANGES"]);
+var UserInteractionLevel = makeEnumeration("UserInteractionLevel",
+                                           ["DISPLAYALERTS", "DONTDISPLAYALERTS"]);
+
+
+/*******************************************************************************
+ * Colors
+ */
+function CMYKColor() {
+        this.typename = "CMYKColor";
+        this.cyan = 0;
+        this.magenta = 0;
+        this.yellow = 0;
+        this.black = 0;
+}
+
+function RGBColor() {
+        this.typename = "RGBColor";
+        this.red = 0;
+        this.green = 0;
+        this.blue = 0;
+}
+
+function GrayColor() {
+        this.typename = "GrayColor";
+        this.gray = 0;
+}
+
+function NoColor() {
+        this.typename = "NoColor";
+}
+
+
+/*******************************************************************************
+ * Function: liveCollection
+ * Description:
+ *   Return an array-like object whose elements and length are read from the
+ *   array returned by getItems each time they are accessed.  The methods
+ *   object supplies add() and friends.
+ */
+function liveCollection(getItems, methods) {
+        return new Proxy({}, {
+                get: function (target, property) {
+                        var items = getItems();
+                        if (property == "length") {
+                                return items.length;
+                        }
+                        if (typeof property == "string" && /^\d+$/.test(property)) {
+                                return items[Number(property)];
+                        }
+                        if (property == Symbol.iterator) {
+                                return function () { return items[Symbol.iterator](); };
+                        }
+                        if (methods && Object.prototype.hasOwnProperty.call(methods, property)) {
+                                return methods[property];
+                        }
+                        if (property == "getByName") {
+                                return function (name) {
+                                        var i = 0;
+                                        for (i=0; i<items.length; i++) {
+                                                if (items[i].name == name) {
+                                                        return items[i];
+                                                }
+                                        }
+                                        throw new Error("No such element");
+                                };
+                        }
+                        if (property == "index") {
+                                return function (item) { return items.indexOf(item); };
+                        }
+                        return undefined;
+                }
+        });
+}
+
+function copyPair(pair) {
+        if (pair == null || pair.length < 2 || isNaN(pair[0]) || isNaN(pair[1])) {
+                throw new Error("Point value expected");
+        }
+        return [Number(pair[0]), Number(pair[1])];
+}
+
+
+/*******************************************************************************
+ * Geometry used for PathItem length, area and bounds.
+ */
+function bezierPoint(p0, p1, p2, p3, t) {
+        var mt = 1 - t;
+        var a = mt * mt * mt;
+        var b = 3 * mt * mt * t;
+        var c = 3 * mt * t * t;
+        var d = t * t * t;
+        return [a*p0[0] + b*p1[0] + c*p2[0] + d*p3[0],
+                a*p0[1] + b*p1[1] + c*p2[1] + d*p3[1]];
+}
+
+function samplePath(path, samplesPerSegment) {
+        var points = path._points;
+        var samples = [];
+        var segments = path.closed ? points.length : points.length - 1;
+        var i = 0;
+        var j = 0;
+
+        if (points.length == 0) {
+                return samples;
+        }
+        samples.push(points[0]._anchor);
+        for (i=0; i<segments; i++) {
+                var from = points[i];
+                var to = points[(i+1) % points.length];
+                for (j=1; j<=samplesPerSegment; j++) {
+                        samples.push(bezierPoint(from._anchor, from._rightDirection,
+                                                 to._leftDirection, to._anchor,
+                                                 j / samplesPerSegment));
+                }
+        }
+        return samples;
+}
+
+
+/*******************************************************************************
+ * PageItem
+ *   Common base of Layer, GroupItem, CompoundPathItem and PathItem.
+ */
+function PageItem() {
+}
+
+PageItem.prototype._init = function (typename, parent) {
+        this.typename = typename;
+        this.parent = parent;
+        this.name = "";
+        this.locked = false;
+        this.hidden = false;
+        this.note = "";
+        this._selected = false;
+        this._tags = [];
+};
+
+/*
+ * Tags are name and value strings kept with an item in the document, as
+ * scripts use them to store data.  Like the points, they can only be
+ * changed on an item that can be modified.
+ */
+Object.defineProperty(PageItem.prototype, "tags", {
+        get: function () {
+                var self = this;
+                return liveCollection(function () { return self._tags.slice(); }, {
+                        add: function () {
+                                var tag = new Tag(self);
+                                self._checkEditable();
+                                self._tags.push(tag);
+                                return tag;
+                        }
+                });
+        }
+});
+
+Object.defineProperty(PageItem.prototype, "layer", {
+        get: function () {
+                var current = this.parent;
+                while (current && current.typename != "Layer") {
+                        current = current.parent;
+                }
+                return current;
+        }
+});
+
+Object.defineProperty(PageItem.prototype, "document", {
+        get: function () {
+                var current = this;
+                while (current.typename != "Document") {
+                        current = current.parent;
+                }
+                return current;
+        }
+});
+
+/*
+ * True if this item or any of its containers is locked or hidden, in which
+ * case Illustrator refuses to modify it.
+ */
+PageItem.prototype._isFrozen = function () {
+        var current = this;
+        while (current && current.typename != "Document") {
+                if (current.locked || current.hidden || current.visible === false) {
+                        return true;
+                }
+                current = current.parent;
+        }
+        return false;
+};
+
+PageItem.prototype._checkEditable = function () {
+        if (this._isFrozen()) {
+                throw new Error("Target layer cannot be modified");
+        }
+};
+
+PageItem.prototype._siblings = function () {
+        return (this.typename == "Layer") ? this.parent._layers : this.parent._items;
+};
+
+PageItem.prototype.remove = function () {
+        var siblings = this._siblings();
+        var index = siblings.indexOf(this);
+
+        if (this.typename != "Layer") {
+                this._checkEditable();
+        }
+        if (index >= 0) {
+                siblings.splice(index, 1);
+        }
+};
+
+PageItem.prototype.zOrder = function (method) {
+        var siblings = this._siblings();
+        var index = siblings.indexOf(this);
+
+        siblings.splice(index, 1);
+        if (method == ZOrderMethod.BRINGTOFRONT) {
+                siblings.unshift(this);
+        }
+        else if (method == ZOrderMethod.SENDTOBACK) {
+                siblings.push(this);
+        }
+        else if (method == ZOrderMethod.BRINGFORWARD) {
+                siblings.splice(Math.max(index-1, 0), 0, this);
+        }
+        else {
+                siblings.splice(Math.min(index+1, siblings.length), 0, this);
+        }
+};
+
+/*
+ * Containers (Document, Layer, GroupItem and CompoundPathItem) keep their page
+ * items in _items, topmost first.
+ */
+function addContainerCollections(prototype) {
+        Object.defineProperty(prototype, "pageItems", {
+                configurable: true,
+                get: function () {
+                        var self = this;
+                        return liveCollection(function () { return self._items.slice(); });
+                }
+        });
+        Object.defineProperty(prototype, "pathItems", {
+                get: function () {
+                        var self = this;
+                        return liveCollection(function () { return self._itemsOfType("PathItem"); }, {
+                                add: function () {
+                                        return self._addItem(PathItem);
+                                },
+                                rectangle: function (top, left, width, height) {
+                                        var path = this.add();
+                                        path._setCorners([[left, top], [left+width, top],
+                                                          [left+width, top-height], [left, top-height]]);
+                                        path.closed = true;
+                                        return path;
+                                },
+                                ellipse: function (top, left, width, height) {
+                                        var path = this.add();
+                                        path._setEllipse(top, left, width, height);
+                                        return path;
+                                }
+                        });
+                }
+        });
+        Object.defineProperty(prototype, "compoundPathItems", {
+                get: function () {
+                        var self = this;
+                        return liveCollection(function () { return self._itemsOfType("CompoundPathItem"); }, {
+                                add: function () {
+                                        return self._addItem(CompoundPathItem);
+                                }
+                        });
+                }
+        });
+        Object.defineProperty(prototype, "groupItems", {
+                get: function () {
+                        var self = this;
+                        return liveCollection(function () { return self._itemsOfType("GroupItem"); }, {
+                                add: function () {
+                                        return self._addItem(GroupItem);
+                                }
+                        });
+                }
+        });
+        prototype._addItem = function (constructor) {
+                var item = new constructor(this);
+                this._checkAddable();
+                this._items.unshift(item);
+                return item;
+        };
+        prototype._itemsOfType = function (typename) {
+                return this._items.filter(function (item) { return item.typename == typename; });
+        };
+        prototype._checkAddable = function () {
+                if (this.typename != "Document") {
+                        this._checkEditable();
+                }
+        };
+}
+
+
+/*******************************************************************************
+ * Tag
+ */
+function Tag(parent) {
+        this.typename = "Tag";
+        this.parent = parent;
+        this.name = "";
+        this.value = "";
+}
+
+Tag.prototype.remove = function () {
+        var index = this.parent._tags.indexOf(this);
+
+        this.parent._checkEditable();
+        if (index >= 0) {
+                this.parent._tags.splice(index, 1);
+        }
+};
+
+
+/*******************************************************************************
+ * Layer
+ */
+function Layer(parent) {
+        this._init("Layer", parent);
+        this.visible = true;
+        this.printable = true;
+        this._items = [];
+        this._layers = [];
+}
+Layer.prototype = Object.create(PageItem.prototype);
+addContainerCollections(Layer.prototype);
+
+Object.defineProperty(Layer.prototype, "layers", {
+        get: function () {
+                var self = this;
+                return liveCollection(function () { return self._layers.slice(); }, {
+                        add: function () {
+                                var layer = new Layer(self);
+                                self._layers.unshift(layer);
+                                return layer;
+                        }
+                });
+        }
+});
+
+
+/*******************************************************************************
+ * GroupItem
+ */
+function GroupItem(parent) {
+        this._init("GroupItem", parent);
+        this._items = [];
+}
+GroupItem.prototype = Object.create(PageItem.prototype);
+addContainerCollections(GroupItem.prototype);
+
+Object.defineProperty(GroupItem.prototype, "selected", {
+        get: function () { return this._selected; },
+        set: function (value) {
+                var i = 0;
+                this._selected = !!value;
+                for (i=0; i<this._items.length; i++) {
+                        this._items[i].selected = value;
+                }
+        }
+});
+
+
+/*******************************************************************************
+ * CompoundPathItem
+ */
+function CompoundPathItem(parent) {
+        this._init("CompoundPathItem", parent);
+        this._items = [];
+}
+CompoundPathItem.prototype = Object.create(PageItem.prototype);
+addContainerCollections(CompoundPathItem.prototype);
+
+Object.defineProperty(CompoundPathItem.prototype, "selected", {
+        get: function () {
+                return this._selected || this._items.some(function (item) { return item.selected; });
+        },
+        set: function (value) {
+                var i = 0;
+                this._selected = !!value;
+                for (i=0; i<this._items.length; i++) {
+                        this._items[i].selected = value;
+                }
+        }
+});
+
+
+/*******************************************************************************
+ * PathItem
+ */
+function PathItem(parent) {
+        this._init("PathItem", parent);
+        this.closed = false;
+        this.filled = false;
+        this.stroked = true;
+        this.fillColor = new NoColor();
+        this.strokeColor = new GrayColor();
+        this.strokeWidth = 1;
+        this.opacity = 100;
+        this._points = [];
+}
+PathItem.prototype = Object.create(PageItem.prototype);
+
+Object.defineProperty(PathItem.prototype, "pathPoints", {
+        get: function () {
+                var self = this;
+                return liveCollection(function () { return self._points.slice(); }, {
+                        add: function () {
+                                var point = new PathPoint(self);
+                                self._checkEditable();
+                                self._points.push(point);
+                                return point;
+                        },
+                        removeAll: function () {
+                                self._checkEditable();
+                                self._points = [];
+                        }
+                });
+        }
+});
+
+Object.defineProperty(PathItem.prototype, "selectedPathPoints", {
+        get: function () {
+                var self = this;
+                return liveCollection(function () {
+                        return self._points.filter(function (point) {
+                                return point._selected != PathPointSelection.NOSELECTION;
+                        });
+                });
+        }
+});
+
+Object.defineProperty(PathItem.prototype, "selected", {
+        get: function () {
+                return this._selected || this._points.some(function (point) {
+                        return point._selected != PathPointSelection.NOSELECTION;
+                });
+        },
+        set: function (value) {
+                var i = 0;
+                this._selected = !!value;
+                for (i=0; i<this._points.length; i++) {
+                        this._points[i]._selected = value ? PathPointSelection.ANCHORPOINT : PathPointSelection.NOSELECTION;
+                }
+        }
+});
+
+Object.defineProperty(PathItem.prototype, "length", {
+        get: function () {
+                var samples = samplePath(this, 64);
+                var length = 0;
+                var i = 0;
+                for (i=1; i<samples.length; i++) {
+                        length += Math.sqrt(Math.pow(samples[i][0]-samples[i-1][0], 2) +
+                                            Math.pow(samples[i][1]-samples[i-1][1], 2));
+                }
+                return length;
+        }
+});
+
+/*
+ * Signed area of the (closed) path.  As in Illustrator, a counter clockwise
+ * path has a positive area.
+ */
+Object.defineProperty(PathItem.prototype, "area", {
+        get: function () {
+                var samples = samplePath(this, 64);
+                var area = 0;
+                var i = 0;
+                for (i=0; i<samples.length; i++) {
+                        var a = samples[i];
+                        var b = samples[(i+1) % samples.length];
+                        area += a[0]*b[1] - b[0]*a[1];
+                }
+                return area / 2;
+        }
+});
+
+/*
+ * Bounds as [left, top, right, bottom] in document coordinates (Y up).
+ */
+Object.defineProperty(PathItem.prototype, "geometricBounds", {
+        get: function () {
+                var samples = samplePath(this, 16);
+                var bounds = [Infinity, -Infinity, -Infinity, Infinity];
+                var i = 0;
+                for (i=0; i<samples.length; i++) {
+                        bounds[0] = Math.min(bounds[0], samples[i][0]);
+                        bounds[1] = Math.max(bounds[1], samples[i][1]);
+                        bounds[2] = Math.max(bounds[2], samples[i][0]);
+                        bounds[3] = Math.min(bounds[3], samples[i][1]);
+                }
+                return bounds;
+        }
+});
+Object.defineProperty(PathItem.prototype, "visibleBounds", {
+        get: function () { return this.geometricBounds; }
+});
+
+PathItem.prototype.setEntirePath = function (anchors) {
+        this._checkEditable();
+        this._setCorners(anchors);
+};
+
+PathItem.prototype._setCorners = function (anchors) {
+        var i = 0;
+        this._points = [];
+        for (i=0; i<anchors.length; i++) {
+                var point = new PathPoint(this);
+                point._anchor = copyPair(anchors[i]);
+                point._leftDirection = copyPair(anchors[i]);
+                point._rightDirection = copyPair(anchors[i]);
+                this._points.push(point);
+        }
+};
+
+PathItem.prototype._setEllipse = function (top, left, width, height) {
+        var kappa = 0.5522847498;
+        var cx = left + width / 2;
+        var cy = top - height / 2;
+        var rx = width / 2;
+        var ry = height / 2;
+        var quadrants = [[0, 1], [-1, 0], [0, -1], [1, 0]];
+        var i = 0;
+
+        this._points = [];
+        for (i=0; i<quadrants.length; i++) {
+                var point = new PathPoint(this);
+                var ux = quadrants[i][0];
+                var uy = quadrants[i][1];
+                point._anchor = [cx + ux*rx, cy + uy*ry];
+                /* Counter clockwise: the left handle trails, the right handle leads. */
+                point._leftDirection = [cx + ux*rx + uy*rx*kappa, cy + uy*ry - ux*ry*kappa];
+                point._rightDirection = [cx + ux*rx - uy*rx*kappa, cy + uy*ry + ux*ry*kappa];
+                point._pointType = PointType.SMOOTH;
+                this._points.push(point);
+        }
+        this.closed = true;
+};
+
+
+/*******************************************************************************
+ * PathPoint
+ */
+function PathPoint(parent) {
+        this.typename = "PathPoint";
+        this.parent = parent;
+        this._anchor = [0, 0];
+        this._leftDirection = [0, 0];
+        this._rightDirection = [0, 0];
+        this._pointType = PointType.CORNER;
+        this._selected = PathPointSelection.NOSELECTION;
+}
+
+function definePointPair(name) {
+        Object.defineProperty(PathPoint.prototype, name, {
+                get: function () { return this["_" + name].slice(); },
+                set: function (value) {
+                        this.parent._checkEditable();
+                        this["_" + name] = copyPair(value);
+                }
+        });
+}
+definePointPair("anchor");
+definePointPair("leftDirection");
+definePointPair("rightDirection");
+
+Object.defineProperty(PathPoint.prototype, "pointType", {
+        get: function () { return this._pointType; },
+        set: function (value) {
+                if (value != PointType.SMOOTH && value != PointType.CORNER) {
+                        throw new Error("Enumerated value expected");
+                }
+                this.parent._checkEditable();
+                this._pointType = value;
+        }
+});
+
+Object.defineProperty(PathPoint.prototype, "selected", {
+        get: function () { return this._selected; },
+        set: function (value) {
+                if (!(value instanceof Enumerator) || value.typename != "PathPointSelection") {
+                        throw new Error("Enumerated value expected");
+                }
+                this._selected = value;
+        }
+});
+
+PathPoint.prototype.remove = function () {
+        var points = this.parent._points;
+        var index = points.indexOf(this);
+
+        this.parent._checkEditable();
+        if (index >= 0) {
+                points.splice(index, 1);
+        }
+};
+
+
+/*******************************************************************************
+ * Document
+ */
+function Document(name) {
+        this.typename = "Document";
+        this.name = name || "Untitled-1";
+        this.parent = null;
+        this.rulerUnits = "Points";
+        this.saved = true;
+        this._layers = [];
+        this._items = [];
+}
+addContainerCollections(Document.prototype);
+
+Document.prototype._checkEditable = function () {
+};
+
+Document.prototype._fileSystem = function () {
+        if (!this._app._fileSystem) {
+                this._app._fileSystem = createFileSystem({ fileDialogs: [], fileDialogAnswers: [] });
+        }
+        return this._app._fileSystem;
+};
+
+/*
+ * The file of a saved document, given as fullName to createDocument().  An
+ * unsaved document has an empty path, as in Illustrator.
+ */
+Object.defineProperty(Document.prototype, "fullName", {
+        get: function () {
+                return new (this._fileSystem().File)(this._fullName || this.name);
+        }
+});
+Object.defineProperty(Document.prototype, "path", {
+        get: function () {
+                return new (this._fileSystem().Folder)(this._fullName ? path.dirname(this._fullName) : "");
+        }
+});
+
+/*
+ * New items of a document go to the active layer.  As in Illustrator, a new
+ * layer becomes the active layer; when the active layer is removed the
+ * topmost layer takes its place.
+ */
+Document.prototype._addItem = function (constructor) {
+        return this.activeLayer._addItem(constructor);
+};
+
+Object.defineProperty(Document.prototype, "activeLayer", {
+        get: function () {
+                if (this._layers.length == 0) {
+                        this.layers.add();
+                }
+                if (this._activeLayer && this._allLayers().indexOf(this._activeLayer) >= 0) {
+                        return this._activeLayer;
+                }
+                return this._layers[0];
+        },
+        set: function (layer) {
+                this._activeLayer = layer;
+        }
+});
+
+/*
+ * The page items of a document are those of all its layers, walked top down.
+ */
+Document.prototype._allItems = function () {
+        var all = [];
+        function walk(container) {
+                var i = 0;
+                if (container._layers) {
+                        for (i=0; i<container._layers.length; i++) {
+                                walk(container._layers[i]);
+                        }
+                }
+                for (i=0; i<container._items.length; i++) {
+                        all.push(container._items[i]);
+                        if (container._items[i]._items) {
+                                walk(container._items[i]);
+                        }
+                }
+        }
+        walk(this);
+        return all;
+};
+
+Document.prototype._itemsOfType = function (typename) {
+        return this._allItems().filter(function (item) { return item.typename == typename; });
+};
+
+Object.defineProperty(Document.prototype, "pageItems", {
+        get: function () {
+                var self = this;
+                return liveCollection(function () { return self._allItems(); });
+        }
+});
+
+Object.defineProperty(Document.prototype, "layers", {
+        get: function () {
+                var self = this;
+                return liveCollection(function () { return self._layers.slice(); }, {
+                        add: function () {
+                                var layer = new Layer(self);
+                                layer.name = "Layer " + (self._allLayers().length + 1);
+                                self._layers.unshift(layer);
+                                self._activeLayer = layer;
+                                return layer;
+                        }
+                });
+        }
+});
+
+Document.prototype._allLayers = function () {
+        var all = [];
+        function walk(layers) {
+                var i = 0;
+                for (i=0; i<layers.length; i++) {
+                        all.push(layers[i]);
+                        walk(layers[i]._layers);
+                }
+        }
+        walk(this._layers);
+        return all;
+};
+
+/*
+ * The selection holds the topmost selected objects: a selected group, a
+ * compound path with any selected member, or a path with any selected point.
+ */
+Object.defineProperty(Document.prototype, "selection", {
+        get: function () {
+                var selection = [];
+                function walk(container) {
+                        var i = 0;
+                        if (container._layers) {
+                                for (i=0; i<container._layers.length; i++) {
+                                        walk(container._layers[i]);
+                                }
+                        }
+                        for (i=0; i<container._items.length; i++) {
+                                var item = container._items[i];
+                                if (item.typename == "GroupItem") {
+                                        if (item._selected) {
+                                                selection.push(item);
+                                        }
+                                        else {
+                                                walk(item);
+                                        }
+                                }
+                                else if (item.selected) {
+                                        selection.push(item);
+                                }
+                        }
+                }
+                walk(this);
+                return selection;
+        },
+        set: function (value) {
+                var all = this._allItems();
+                var i = 0;
+                for (i=0; i<all.length; i++) {
+                        all[i].selected = false;
+                }
+                if (value) {
+                        for (i=0; i<value.length; i++) {
+                                value[i].selected = true;
+                        }
+                }
+        }
+});
+
+/*
+ * The document is written as its description, in JSON (see createDocument()).
+ */
+Document.prototype.saveAs = function (file, options) {
+        var fullName = path.resolve(String(file));
+
+        fs.writeFileSync(fullName, JSON.stringify(describeDocument(this), null, 1) + "\n");
+        this._fullName = fullName;
+        this.name = path.basename(fullName);
+        this.saved = true;
+};
+
+Document.prototype.save = function () {
+        if (!this._fullName) {
+                throw new Error("Document has not been saved");
+        }
+        this.saveAs(this._fullName);
+};
+
+Document.prototype.close = function (saveOptions) {
+        var documents = this._app._documents;
+        var index = documents.indexOf(this);
+        if (saveOptions == SaveOptions.SAVECHANGES) {
+                this.save();
+        }
+        if (index >= 0) {
+                documents.splice(index, 1);
+        }
+};
+
+
+/*******************************************************************************
+ * IllustratorSaveOptions
+ */
+function IllustratorSaveOptions() {
+        this.typename = "IllustratorSaveOptions";
+        this.pdfCompatible = true;
+        this.embedLinkedFiles = false;
+}
+
+
+/*******************************************************************************
+ * Application
+ */
+function Application() {
+        this.typename = "Application";
+        this.name = "Adobe Illustrator";
+        this.version = "16.0.0";
+        this.redrawCount = 0;
+        this.userInteractionLevel = UserInteractionLevel.DISPLAYALERTS;
+        this._documents = [];
+}
+
+Object.defineProperty(Application.prototype, "activeDocument", {
+        get: function () {
+                if (this._documents.length == 0) {
+                        throw new Error("No such element");
+                }
+                return this._documents[0];
+        },
+        set: function (document) {
+                var index = this._documents.indexOf(document);
+                this._documents.splice(index, 1);
+                this._documents.unshift(document);
+        }
+});
+
+Object.defineProperty(Application.prototype, "documents", {
+        get: function () {
+                var self = this;
+                return liveCollection(function () { return self._documents.slice(); }, {
+                        add: function () {
+                                var document = new Document("Untitled-" + (self._documents.length + 1));
+                                document.layers.add();
+                                self.addDocument(document);
+                                return document;
+                        }
+                });
+        }
+});
+
+Application.prototype.addDocument = function (document) {
+        document._app = this;
+        this._documents.unshift(document);
+        return document;
+};
+
+/*
+ * The file holds a document description in JSON (see createDocument()).
+ */
+Application.prototype.open = function (file) {
+        var fullName = path.resolve(String(file));
+        var description;
+
+        try {
+                description = JSON.parse(fs.readFileSync(fullName, "utf8"));
+        }
+        catch (er) {
+                throw new Error("Unable to open " + fullName + ": " + er.message);
+        }
+        description.name = path.basename(fullName);
+        description.fullName = fullName;
+        return this.addDocument(createDocument(description));
+};
+
+Application.prototype.redraw = function () {
+        this.redrawCount++;
+};
+
+
+/*******************************************************************************
+ * Function: createDocument
+ * Description:
+ *   Build a Document from a plain description:
+ *
+ *   { name: "Map.ai", fullName: "/path/to/Map.ai",
+ *     layers: [ { name: "Roads", locked: false, visible: true,
+ *                 layers: [ ...sublayers... ],
+ *                 items: [ ...items, topmost first... ] } ] }
+ *
+ *   An item is one of
+ *     { type: "path", name, closed, locked, hidden, note, filled, stroked,
+ *       strokeWidth, points: [ point, ... ] }
+ *     { type: "compound", name, locked, hidden, paths: [ path, ... ] }
+ *     { type: "group", name, locked, hidden, selected, items: [ item, ... ] }
+ *
+ *   and may also carry tags: { name: value, ... }.
+ *
+ *   A point is either an anchor [x, y], making a corner point with retracted
+ *   handles, or { anchor, leftDirection, rightDirection, pointType, selected }
+ *   where pointType is "SMOOTH" or "CORNER" and selected is true or a
+ *   PathPointSelection name.
+ *
+ *   fullName, the file of a saved document, is optional; without it the
+ *   document is unsaved.  A layer or item may also carry a source property, kept on the object
+ *   built as _source, for callers that need to map objects back to where
+ *   they came from.
+ */
+function createDocument(description) {
+        var document = new Document(description.name ||
+                                    (description.fullName ? path.basename(description.fullName) : null));
+        var i = 0;
+
+        if (description.fullName) {
+                document._fullName = path.resolve(description.fullName);
+        }
+        if (description.rulerUnits) {
+                document.rulerUnits = description.rulerUnits;
+        }
+        for (i=0; i<(description.layers || []).length; i++) {
+                document._layers.push(buildLayer(document, description.layers[i]));
+        }
+        return document;
+}
+
+function buildLayer(parent, description) {
+        var layer = new Layer(parent);
+        var i = 0;
+
+        layer.name = description.name || "Layer";
+        layer.visible = (description.visible !== false);
+        for (i=0; i<(description.layers || []).length; i++) {
+                layer._layers.push(buildLayer(layer, description.layers[i]));
+        }
+        for (i=0; i<(description.items || []).length; i++) {
+                layer._items.push(buildItem(layer, description.items[i]));
+        }
+        layer.locked = !!description.locked;
+        layer._source = description.source;
+        return layer;
+}
+
+function buildItem(parent, description) {
+        var item;
+        var i = 0;
+
+        if (description.type == "group") {
+                item = new GroupItem(parent);
+                for (i=0; i<(description.items || []).length; i++) {
+                        item._items.push(buildItem(item, description.items[i]));
+                }
+                item._selected = !!description.selected;
+        }
+        else if (description.type == "compound") {
+                item = new CompoundPathItem(parent);
+                for (i=0; i<(description.paths || []).length; i++) {
+                        item._items.push(buildItem(item, description.paths[i]));
+                }
+        }
+        else {
+                item = new PathItem(parent);
+                item.closed = !!description.closed;
+                for (i=0; i<(description.points || []).length; i++) {
+                        item._points.push(buildPoint(item, description.points[i]));
+                }
+                ["filled", "stroked", "strokeWidth", "opacity"].forEach(function (property) {
+                        if (description[property] != null) {
+                                item[property] = description[property];
+                        }
+                });
+        }
+        item.name = description.name || "";
+        item.note = description.note || "";
+        item.hidden = !!description.hidden;
+        item.locked = !!description.locked;
+        item._source = description.source;
+        Object.keys(description.tags || {}).forEach(function (name) {
+                var tag = new Tag(item);
+                tag.name = name;
+                tag.value = String(description.tags[name]);
+                item._tags.push(tag);
+        });
+        return item;
+}
+
+function buildPoint(path, description) {
+        var point = new PathPoint(path);
+        var selected;
+
+        if (Array.isArray(description)) {
+                description = { anchor: description };
+        }
+        point._anchor = copyPair(description.anchor);
+        point._leftDirection = copyPair(description.leftDirection || description.anchor);
+        point._rightDirection = copyPair(description.rightDirection || description.anchor);
+        point._pointType = PointType[description.pointType || "CORNER"];
+        selected = description.selected;
+        if (selected === true) {
+                selected = "ANCHORPOINT";
+        }
+        point._selected = PathPointSelection[selected || "NOSELECTION"];
+        return point;
+}
+
+
+/*******************************************************************************
+ * Function: describeDocument
+ * Description:
+ *   Return the plain description of a Document, in the form accepted by
+ *   createDocument().  Points are always described in full.
+ */
+function describeDocument(document) {
+        return {
+                name: document.name,
+                layers: document._layers.map(describeLayer)
+        };
+}
+
+function describeLayer(layer) {
+        var description = { name: layer.name };
+
+        if (layer.locked) {
+                description.locked = true;
+        }
+        if (!layer.visible) {
+                description.visible = false;
+        }
+        if (layer._layers.length > 0) {
+                description.layers = layer._layers.map(describeLayer);
+        }
+        description.items = layer._items.map(describeItem);
+        return description;
+}
+
+function describeItem(item) {
+        var description = {};
+
+        if (item.typename == "GroupItem") {
+                description.type = "group";
+                description.items = item._items.map(describeItem);
+        }
+        else if (item.typename == "CompoundPathItem") {
+                description.type = "compound";
+                description.paths = item._items.map(describeItem);
+        }
+        else {
+                description.type = "path";
+                description.closed = item.closed;
+                description.points = item._points.map(describePoint);
+        }
+        if (item.name) {
+                description.name = item.name;
+        }
+        if (item.note) {
+                description.note = item.note;
+        }
+        if (item.locked) {
+                description.locked = true;
+        }
+        if (item.hidden) {
+                description.hidden = true;
+        }
+        if (item._tags.length > 0) {
+                description.tags = {};
+                item._tags.forEach(function (tag) {
+                        description.tags[tag.name] = tag.value;
+                });
+        }
+        return description;
+}
+
+function describePoint(point) {
+        var description = {
+                anchor: point._anchor.slice(),
+                leftDirection: point._leftDirection.slice(),
+                rightDirection: point._rightDirection.slice(),
+                pointType: point._pointType.name
+        };
+        if (point._selected != PathPointSelection.NOSELECTION) {
+                description.selected = point._selected.name;
+        }
+        return description;
+}
+
+
+/* The temporary userData folders of all sessions, removed when the process exits */
+var temporaryFolders = [];
+
+process.on("exit", function () {
+        temporaryFolders.forEach(function (folder) {
+                fs.rmSync(folder, { recursive: true, force: true });
+        });
+});
+
+/*******************************************************************************
+ * Function: createFileSystem
+ * Description:
+ *   Return the ExtendScript File and Folder constructors for a session,
+ *   working on the real file system.  Paths may start with ~ for the home
+ *   folder.  Folder.userData is session.userData, or a new temporary folder
+ *   made on first use, and removed when the process exits, so runs do not
+ *   share preferences unless asked to.
+ *   Folder.selectDialog(), File.openDialog() and File.saveDialog() return
+ *   the next of session.fileDialogAnswers (a path, or null for Cancel).
+ *
+ *   Only what the scripts use is modelled: open/read/readln/write/writeln/
+ *   close, exists, remove, rename, copy, getFiles and create.
+ */
+function createFileSystem(session) {
+        var userData = null;
+
+        function resolvePath(name) {
+                name = String(name == null ? "" : name);
+                if (name.charAt(0) == "~") {
+                        name = os.homedir() + name.slice(1);
+                }
+                return path.resolve(name);
+        }
+
+        function nextDialogAnswer(kind, Constructor) {
+                var answer;
+                session.fileDialogs.push(kind);
+                answer = session.fileDialogAnswers.length > 0 ? session.fileDialogAnswers.shift() : null;
+                return (answer == null) ? null : new Constructor(answer);
+        }
+
+        /* An empty name stands for no file, as for the path of an unsaved document. */
+        function FileSystemItem(name) {
+                this.fsName = (name === "") ? "" : resolvePath(name);
+        }
+        Object.defineProperty(FileSystemItem.prototype, "fullName", {
+                get: function () { return this.fsName; }
+        });
+        Object.defineProperty(FileSystemItem.prototype, "absoluteURI", {
+                get: function () { return this.fsName; }
+        });
+        Object.defineProperty(FileSystemItem.prototype, "name", {
+                get: function () { return path.basename(this.fsName); }
+        });
+        Object.defineProperty(FileSystemItem.prototype, "displayName", {
+                get: function () { return path.basename(this.fsName); }
+        });
+        Object.defineProperty(FileSystemItem.prototype, "path", {
+                get: function () { return path.dirname(this.fsName); }
+        });
+        Object.defineProperty(FileSystemItem.prototype, "parent", {
+                get: function () { return new Folder(path.dirname(this.fsName)); }
+        });
+        FileSystemItem.prototype.toString = function () {
+                return this.fsName;
+        };
+        FileSystemItem.prototype.rename = function (newName) {
+                var target = path.join(path.dirname(this.fsName), newName);
+                try {
+                        fs.renameSync(this.fsName, target);
+                }
+                catch (er) {
+                        this.error = er.message;
+                        return false;
+                }
+                this.fsName = target;
+                return true;
+        };
+
+        function File(name) {
+                if (!(this instanceof File)) {
+                        return new File(name);
+                }
+                FileSystemItem.call(this, name);
+                this.encoding = "UTF-8";
+                this.lineFeed = "Unix";
+                this.error = "";
+                this._mode = null;
+                this._text = "";
+                this._position = 0;
+        }
+        File.prototype = Object.create(FileSystemItem.prototype);
+        File.prototype.constructor = File;
+
+        Object.defineProperty(File.prototype, "exists", {
+                get: function () {
+                        return fs.existsSync(this.fsName) && fs.statSync(this.fsName).isFile();
+                }
+        });
+        Object.defineProperty(File.prototype, "length", {
+                get: function () { return this.exists ? fs.statSync(this.fsName).size : 0; }
+        });
+        Object.defineProperty(File.prototype, "eof", {
+                get: function () { return this._mode != "r" || this._position >= this._text.length; }
+        });
+        File.prototype.open = function (mode) {
+                mode = String(mode || "r").charAt(0);
+                try {
+                        if (mode == "r") {
+                                this._text = fs.readFileSync(this.fsName, "utf8");
+                                this._position = 0;
+                        }
+                        else if (mode == "w") {
+                                fs.writeFileSync(this.fsName, "");
+                        }
+                        else if (mode == "a" || mode == "e") {
+                                fs.appendFileSync(this.fsName, "");
+                        }
+                }
+                catch (er) {
+                        this.error = er.message;
+                        return false;
+                }
+                this._mode = mode;
+                return true;
+        };
+        File.prototype.read = function (count) {
+                var text;
+                if (this._mode != "r") {
+                        return "";
+                }
+                text = this._text.slice(this._position, (count == null) ? undefined : this._position + count);
+                this._position += text.length;
+                return text;
+        };
+        File.prototype.readln = function () {
+                var end = this._text.indexOf("\n", this._position);
+                var line;
+                if (this._mode != "r") {
+                        return "";
+                }
+                if (end < 0) {
+                        end = this._text.length;
+                }
+                line = this._text.slice(this._position, end).replace(/\r$/, "");
+                this._position = end + 1;
+                return line;
+        };
+        File.prototype.write = function () {
+                if (this._mode == null || this._mode == "r") {
+                        this.error = "File not open for writing";
+                        return false;
+                }
+                fs.appendFileSync(this.fsName, Array.prototype.join.call(arguments, ""));
+                return true;
+        };
+        File.prototype.writeln = function () {
+                var lineFeed = (this.lineFeed == "Windows") ? "\r\n" : (this.lineFeed == "Macintosh") ? "\r" : "\n";
+                return this.write(Array.prototype.join.call(arguments, "") + lineFeed);
+        };
+        File.prototype.close = function () {
+                var wasOpen = (this._mode != null);
+                this._mode = null;
+                this._text = "";
+                return wasOpen;
+        };
+        File.prototype.remove = function () {
+                try {
+                        fs.unlinkSync(this.fsName);
+                }
+                catch (er) {
+                        this.error = er.message;
+                        return false;
+                }
+                return true;
+        };
+        File.prototype.copy = function (target) {
+                try {
+                        fs.copyFileSync(this.fsName, resolvePath(target));
+                }
+                catch (er) {
+                        this.error = er.message;
+                        return false;
+                }
+                return true;
+        };
+        File.openDialog = function () {
+                return nextDialogAnswer("File.openDialog", File);
+        };
+        File.saveDialog = function () {
+                return nextDialogAnswer("File.saveDialog", File);
+        };
+        File.prototype.openDlg = File.openDialog;
+        File.prototype.saveDlg = File.saveDialog;
+
+        function Folder(name) {
+                if (!(this instanceof Folder)) {
+                        return new Folder(name);
+                }
+                FileSystemItem.call(this, name);
+                this.error = "";
+        }
+        Folder.prototype = Object.create(FileSystemItem.prototype);
+        Folder.prototype.constructor = Folder;
+
+        Object.defineProperty(Folder.prototype, "exists", {
+                get: function () {
+                        return fs.existsSync(this.fsName) && fs.statSync(this.fsName).isDirectory();
+                }
+        });
+        Folder.prototype.create = function () {
+                try {
+                        fs.mkdirSync(this.fsName, { recursive: true });
+                }
+                catch (er) {
+                        this.error = er.message;
+                        return false;
+                }
+                return true;
+        };
+        Folder.prototype.remove = function () {
+                try {
+                        fs.rmdirSync(this.fsName);
+                }
+                catch (er) {
+                        this.error = er.message;
+                        return false;
+                }
+                return true;
+        };
+        /*
+         * The mask is a function called with each File or Folder, or a string
+         * of wildcard patterns like "*.ai" (separated by commas or
+         * semicolons), matched without regard to case.
+         */
+        Folder.prototype.getFiles = function (mask) {
+                var self = this;
+                var patterns = null;
+
+                if (!this.exists) {
+                        return null;
+                }
+                if (typeof mask == "string" && mask != "" && mask != "*") {
+                        patterns = mask.split(/[,;]/).map(function (pattern) {
+                                return new RegExp("^" + pattern.trim().replace(/[.+^${}()|[\]\\]/g, "\\$&")
+                                                  .replace(/\*/g, ".*").replace(/\?/g, ".") + "$", "i");
+                        });
+                }
+                return fs.readdirSync(this.fsName).sort().map(function (entry) {
+                        var fullName = path.join(self.fsName, entry);
+                        return fs.statSync(fullName).isDirectory() ? new Folder(fullName) : new File(fullName);
+                }).filter(function (item) {
+                        if (typeof mask == "function") {
+                                return !!mask(item);
+                        }
+                        return patterns == null || patterns.some(function (pattern) {
+                                return pattern.test(item.name);
+                        });
+                });
+        };
+        Folder.selectDialog = function () {
+                return nextDialogAnswer("Folder.selectDialog", Folder);
+        };
+        Folder.prototype.selectDlg = Folder.selectDialog;
+
+        Object.defineProperty(Folder, "userData", {
+                get: function () {
+                        if (userData == null && session.userData) {
+                                userData = session.userData;
+                        }
+                        else if (userData == null) {
+                                userData = fs.mkdtempSync(path.join(os.tmpdir(), "userData-"));
+                                temporaryFolders.push(userData);
+                        }
+                        return new Folder(userData);
+                }
+        });
+        Object.defineProperty(Folder, "temp", {
+                get: function () { return new Folder(os.tmpdir()); }
+        });
+        Object.defineProperty(Folder, "desktop", {
+                get: function () { return new Folder(path.join(os.homedir(), "Desktop")); }
+        });
+        Object.defineProperty(Folder, "myDocuments", {
+                get: function () { return new Folder(path.join(os.homedir(), "Documents")); }
+        });
+        Object.defineProperty(Folder, "current", {
+                get: function () { return new Folder(process.cwd()); }
+        });
+
+        return { File: File, Folder: Folder };
+}
+
+
+/*******************************************************************************
+ * ScriptUI
+ *
+ * Controls are plain objects.  Scripts keep references to them as properties
+ * of their containers (e.g. dlgInit.tolerancePnl.editText), which is also how
+ * canned answers name them.
+ */
+function Control(type, parent, properties) {
+        this.type = type;
+        this.parent = parent;
+        this.children = [];
+        this.properties = properties || {};
+        this.text = "";
+        this.helpTip = "";
+        this.enabled = true;
+        this.visible = true;
+        this.preferredSize = { width: -1, height: -1 };
+        this.minimumSize = { width: 0, height: 0 };
+        this.maximumSize = { width: 10000, height: 10000 };
+}
+
+Control.prototype.add = function (type, bounds, text, properties) {
+        var control;
+        var i = 0;
+
+        control = new Control(type, this, (type == "slider" || type == "scrollbar" || type == "progressbar") ? null : properties);
+        if (type == "slider" || type == "scrollbar" || type == "progressbar") {
+                control._value = (text == null) ? 0 : Number(text);
+                control.minvalue = (properties == null) ? 0 : Number(properties);
+                control.maxvalue = (arguments[4] == null) ? 100 : Number(arguments[4]);
+                if (type == "progressbar") {
+                        control.minvalue = 0;
+                        control.maxvalue = (properties == null) ? 100 : Number(properties);
+                }
+        }
+        else if (type == "dropdownlist" || type == "listbox") {
+                control.items = [];
+                control._selection = null;
+                if (text) {
+                        for (i=0; i<text.length; i++) {
+                                control.add("item", text[i]);
+                        }
+                }
+        }
+        else if (type == "item") {
+                /* List items are added as add("item", text) */
+                control = new ListItem(this, bounds);
+                this.items.push(control);
+                return control;
+        }
+        else if (text != null) {
+                control.text = String(text);
+        }
+        if (type == "checkbox" || type == "radiobutton") {
+                control._value = false;
+        }
+        this.children.push(control);
+        return control;
+};
+
+Control.prototype.remove = function (child) {
+        var index;
+
+        if (this.items && typeof child == "number") {
+                this.items.splice(child, 1);
+                return;
+        }
+        if (this.items && child instanceof ListItem) {
+                this.items.splice(this.items.indexOf(child), 1);
+                if (this._selection == child) {
+                        this._selection = null;
+                }
+                return;
+        }
+        index = this.children.indexOf(child);
+        if (index >= 0) {
+                this.children.splice(index, 1);
+        }
+};
+
+Control.prototype.removeAll = function () {
+        if (this.items) {
+                this.items = [];
+                this._selection = null;
+        }
+};
+
+Control.prototype.find = function (text) {
+        var i = 0;
+        if (this.items) {
+                for (i=0; i<this.items.length; i++) {
+                        if (this.items[i].text == text) {
+                                return this.items[i];
+                        }
+                }
+        }
+        return null;
+};
+
+Control.prototype.notify = function (event) {
+        var handler = this[event || "onClick"];
+        if (handler) {
+                handler.call(this);
+        }
+};
+
+Object.defineProperty(Control.prototype, "value", {
+        get: function () { return this._value; },
+        set: function (value) {
+                var i = 0;
+                if (this.type == "slider" || this.type == "scrollbar" || this.type == "progressbar") {
+                        value = Math.min(Math.max(Number(value), this.minvalue), this.maxvalue);
+                        this._value = value;
+                        return;
+                }
+                this._value = !!value;
+                /* Selecting a radio button deselects its siblings. */
+                if (this.type == "radiobutton" && this._value && this.parent) {
+                        for (i=0; i<this.parent.children.length; i++) {
+                                var sibling = this.parent.children[i];
+                                if (sibling != this && sibling.type == "radiobutton") {
+                                        sibling._value = false;
+                                }
+                        }
+                }
+        }
+});
+
+Object.defineProperty(Control.prototype, "selection", {
+        get: function () { return this._selection; },
+        set: function (value) {
+                if (value == null) {
+                        this._selection = null;
+                }
+                else if (typeof value == "number") {
+                        this._selection = this.items[value] || null;
+                }
+                else {
+                        this._selection = value;
+                }
+        }
+});
+
+function ListItem(parent, text) {
+        this.type = "item";
+        this.parent = parent;
+        this.text = String(text);
+}
+Object.defineProperty(ListItem.prototype, "index", {
+        get: function () { return this.parent.items.indexOf(this); }
+});
+Object.defineProperty(ListItem.prototype, "selected", {
+        get: function () { return this.parent._selection == this; },
+        set: function (value) {
+                if (value) {
+                        this.parent._selection = this;
+                }
+                else if (this.parent._selection == this) {
+                        this.parent._selection = null;
+                }
+        }
+});
+
+/*
+ * Layout is done by Illustrator; here it only needs to exist.
+ */
+function Layout() {
+}
+Layout.prototype.layout = function () {
+};
+Layout.prototype.resize = function () {
+};
+
+
+/*******************************************************************************
+ * Function: createScriptUI
+ * Description:
+ *   Return the Window constructor for a session.  Each Window.show() consumes
+ *   the next canned answer from session.answers:
+ *
+ *     { values: { "tolerancePnl.editText": "2.5", "functionPnl.doAnalyze": true },
+ *       button: "ok" }
+ *
+ *   Values are applied in order as a user would: checkboxes, radio buttons and
+ *   buttons are clicked, edit text, sliders and lists are changed and their
+ *   onChange handler called.  Then the named button (default "ok") is clicked.
+ *   An answer may instead be a function, called with the window and the
+ *   session; it drives the window itself.  When no answers are left, OK is
+ *   clicked.  Each shown window is recorded in session.dialogs.
+ */
+function createScriptUI(session) {
+        function Window(type, title, bounds, properties) {
+                Control.call(this, "dialog", null, properties);
+                this.windowType = type;
+                this.text = title || "";
+                this.layout = new Layout();
+                this._result = null;
+        }
+        Window.prototype = Object.create(Control.prototype);
+
+        Window.prototype.show = function () {
+                var answer = session.answers.shift();
+
+                session.dialogs.push(this);
+                this._result = null;
+                if (typeof answer == "function") {
+                        answer(this, session);
+                }
+                else {
+                        answer = answer || {};
+                        setDialogValues(this, answer.values || {});
+                        if (this._result == null) {
+                                clickButton(this, answer.button || "ok");
+                        }
+                }
+                if (this._result == null) {
+                        this._result = 1;
+                }
+                return this._result;
+        };
+
+        Window.prototype.hide = function () {
+                if (this._result == null) {
+                        this._result = 1;
+                }
+        };
+
+        Window.prototype.close = function (result) {
+                this._result = (result == null) ? 1 : result;
+        };
+
+        Window.prototype.update = function () {
+        };
+
+        Window.alert = function (message) {
+                session.alerts.push(String(message));
+        };
+
+        Window.confirm = function (message) {
+                return session.confirm(message);
+        };
+
+        return Window;
+}
+
+/*******************************************************************************
+ * Function: findControl
+ * Description:
+ *   Find a control by a dotted path of property names from the window, e.g.
+ *   "tolerancePnl.editText".  A button may also be found by its text or by
+ *   its name property ("ok", "cancel").
+ */
+function findControl(window, path) {
+        var control = window;
+        var names = path.split(".");
+        var i = 0;
+
+        for (i=0; i<names.length && control; i++) {
+                control = control[names[i]];
+        }
+        if (control instanceof Control) {
+                return control;
+        }
+        control = findButton(window, path);
+        if (control) {
+                return control;
+        }
+        throw new Error("No control '" + path + "' in dialog '" + window.text + "'");
+}
+
+function findButton(container, name) {
+        var i = 0;
+        var found;
+
+        for (i=0; i<container.children.length; i++) {
+                var child = container.children[i];
+                if (child.type == "button" &&
+                    (child.properties.name == name || child.text.toLowerCase() == String(name).toLowerCase())) {
+                        return child;
+                }
+                found = findButton(child, name);
+                if (found) {
+                        return found;
+                }
+        }
+        return null;
+}
+
+/*******************************************************************************
+ * Function: setDialogValues
+ * Description:
+ *   Apply a map of control paths to values to a window, the way a user would.
+ */
+function setDialogValues(window, values) {
+        Object.keys(values).forEach(function (path) {
+                var control = findControl(window, path);
+                var value = values[path];
+
+                if (control.type == "button") {
+                        clickButton(window, path);
+                }
+                else if (control.type == "checkbox" || control.type == "radiobutton") {
+                        if (control.value != !!value) {
+                                control.value = !!value;
+                                control.notify("onClick");
+                        }
+                }
+                else if (control.type == "edittext") {
+                        control.text = String(value);
+                        control.notify("onChanging");
+                        control.notify("onChange");
+                }
+                else if (control.type == "slider" || control.type == "scrollbar") {
+                        control.value = value;
+                        control.notify("onChanging");
+                        control.notify("onChange");
+                }
+                else if (control.type == "dropdownlist" || control.type == "listbox") {
+                        control.selection = (typeof value == "number") ? value : control.find(value);
+                        control.notify("onChange");
+                }
+                else {
+                        control.text = String(value);
+                }
+        });
+}
+
+/*******************************************************************************
+ * Function: clickButton
+ * Description:
+ *   Click a button of a window.  A button without an onClick handler closes
+ *   the window, with 2 for a cancel button and 1 otherwise.
+ */
+function clickButton(window, name) {
+        var button = findControl(window, name);
+
+        if (!button.enabled) {
+                throw new Error("Button '" + name + "' is disabled");
+        }
+        if (button.onClick) {
+                button.onClick.call(button);
+        }
+        else {
+                window.close(button.properties.name == "cancel" ? 2 : 1);
+        }
+}
+
+/*******************************************************************************
+ * Function: dialogText
+ * Description:
+ *   Return the text shown by a window as an array of strings, one per static
+ *   text control, in display order.  Groups holding a label and a value
+ *   (as in the results dialogs) are joined onto one line.
+ */
+function dialogText(window) {
+        var lines = [];
+        function walk(container) {
+                var i = 0;
+                var texts = container.children.filter(function (child) { return child.type == "statictext"; });
+                if (container.type == "group" && texts.length == container.children.length && texts.length > 1) {
+                        lines.push(texts.map(function (child) { return child.text; }).join(""));
+                        return;
+                }
+                for (i=0; i<container.children.length; i++) {
+                        if (container.children[i].type == "statictext") {
+                                lines.push(container.children[i].text);
+                        }
+                        else {
+                                walk(container.children[i]);
+                        }
+                }
+        }
+        walk(window);
+        return lines;
+}
+
+
+module.exports = {
+        PointType: PointType,
+        PathPointSelection: PathPointSelection,
+        ZOrderMethod: ZOrderMethod,
+        SaveOptions: SaveOptions,
+        UserInteractionLevel: UserInteractionLevel,
+        IllustratorSaveOptions: IllustratorSaveOptions,
+        CMYKColor: CMYKColor,
+        RGBColor: RGBColor,
+        GrayColor: GrayColor,
+        NoColor: NoColor,
+        Application: Application,
+        Document: Document,
+        Layer: Layer,
+        GroupItem: GroupItem,
+        CompoundPathItem: CompoundPathItem,
+        PathItem: PathItem,
+        PathPoint: PathPoint,
+        Tag: Tag,
+        createDocument: createDocument,
+        describeDocument: describeDocument,
+        createFileSystem: createFileSystem,
+        createScriptUI: createScriptUI,
+        findControl: findControl,
+        setDialogValues: setDialogValues,
+        clickButton: clickButton,
+        dialogText: dialogText
+};
@@ -0,0 +1,572 @@
+#!/usr/bin/env node
+/*
+  pathclean.js
+  Run the cleanup done by the Illustrator scripts in this folder on SVG and
+  GeoJSON files
+
+  Purpose:
+  Each command runs one of the scripts, unmodified, against the paths of an
+  SVG file (see run-jsx.js and svg.js), answering its dialogs from the
+  command line options.
+
+        analyze   RemoveRedundantPoints, Analyze function
+        remove    RemoveRedundantPoints, Remove function
+        select    RemoveRedundantPoints, Select function
+        simplify  RemoveRedundantPoints, Simplify function
+        join      RemoveRedundantPoints, Join function
+        smooth    SmoothCurvePoints
+        extract   SegmentToSandbox
+
+  GeoJSON files (.geojson or .json) take the analyze, remove and simplify
+  commands, which run the same point search and removal on their lines and
+  polygon rings (see geojson.js), with the tolerances in map units.
+
+  To Use:
+        node tools/pathclean.js <command> <input.svg> [options]
+        node tools/pathclean.js analyze|remove|simplify <input.geojson> [options]
+
+  Options mirroring the RemoveRedundantPoints dialog:
+        --tolerance <points>          Tolerance (default 5)
+        --tolerance-mode fixed|size|stroke
+                                      Tolerance Mode (default fixed; SVG
+                                      only)
+        --size-tolerance <percent>    Path Size %, of each path's bounding
+                                      box diagonal (default 1)
+        --stroke-tolerance <times>    Stroke Width x, times each path's
+                                      stroke width (default 0.5)
+        --keep-leading                Keep Leading Point
+        --keep-trailing               Keep Trailing Point
+        --keep-averaged               Keep Averaged Point
+        --refit                       Refit Handles (SVG only)
+        --no-compound                 Do not include compound path items
+        --include-locked              Include locked items
+        --annotate                    Annotate Redundant Points (SVG only)
+        --export csv|json             Export Results next to the input file
+                                      (SVG only)
+        --selection ignore|all|any    Point Selection State (default ignore)
+        --handles                     Compare Handles (SVG only)
+        --handle-tolerance <points>   Handle tolerance (default 1)
+        --handle-action split|skip    Split or skip the point sets whose
+                                      handles disagree (default split)
+        --max-deviation <points>      Limit Curve Deviation, leaving the
+                                      point sets that would move the curve
+                                      farther (SVG only)
+        --collinear                   Find Collinear Points (SVG only)
+        --collinear-angle <degrees>   Collinear angle tolerance (default 1)
+        --coincident                  Find Non-Adjacent Coincident Points
+                                      (SVG only)
+        --small-loops                 Find Small Loops (SVG only)
+        --loop-measure area|perimeter Small loop measure (default area)
+        --loop-threshold <value>      Small loop area or perimeter below
+                                      which loops are found (default 10)
+        --degenerate                  Find Degenerate Paths (SVG only)
+        --delete-degenerate           Find and delete them (SVG only)
+        --algorithm <name>            Simplify algorithm, douglas-peucker
+                                      (default) or visvalingam-whyatt
+        --simplify-tolerance <value>  Simplify distance, or area for
+                                      visvalingam-whyatt (default 1)
+
+  Options mirroring the Advanced panel of the RemoveRedundantPoints dialog
+  (SVG only):
+        --angle-bias <times>          Inner Handle Angle Bias (default 1)
+        --inner-handle-length <fraction>
+                                      Inner Handle Length (default 0.5)
+        --averaged-handle-length <fraction>
+                                      Averaged Point Handle Length
+                                      (default 0.5)
+        --endpoint-handle-length <fraction>
+                                      Endpoint Handle Length (default 0.25)
+        --smooth-angle <radians>      Smooth Angle (default 0.02)
+        --retract-below <points>      Retract Handles Below (default 0.5)
+        --distance-rounding <points>  Distance Rounding (default 0.01)
+
+  Option mirroring the SegmentToSandbox dialog:
+        --segment <choice>            shorter (default), longer,
+                                      include-top, include-bottom,
+                                      include-right, include-left,
+                                      exclude-top, exclude-bottom,
+                                      exclude-right, exclude-left
+
+  Other options:
+        -o, --output <file>           Where to write the SVG, - for stdout
+                                      (default stdout; analyze only writes it
+                                      when given, e.g. to keep the --annotate
+                                      markers)
+        --select-all                  Treat every anchor point as selected
+        --precision <decimals>        Decimals in rewritten path data (default 3)
+        --format svg|geojson          Input format (default from the file
+                                      extension, svg for stdin)
+
+  Selected points are read from the data-selected-points attribute of each
+  path (see svg.js).  As in Illustrator, when any point is selected only the
+  paths holding selected points are processed.  Unlike the dialog, the
+  selection state option defaults to ignore, since files rarely carry a
+  selection.  The results dialog is printed to stderr (stdout for analyze,
+  unless it writes the SVG there); alerts are printed to stderr and make the
+  exit status 1.  For GeoJSON the results are a tab separated table of the
+  counts for each feature.
+*/
+
+var fs = require("fs");
+var path = require("path");
+var runJsx = require("./run-jsx");
+var dom = require("./illustrator-dom");
+var svg = require("./svg");
+var geojson = require("./geojson");
+
+var scriptFolder = path.resolve(__dirname, "..");
+
+var advancedOptions = {
+        "--angle-bias": "tweakThetaToOppositeEndpoint",
+        "--inner-handle-length": "tweakPairDistance",
+        "--averaged-handle-length": "tweakPairDistanceForAveraged",
+        "--endpoint-handle-length": "tweakPairDistanceForEndpoint",
+        "--smooth-angle": "smoothAngleTolerance",
+        "--retract-below": "retractDistance",
+        "--distance-rounding": "distancePrecision"
+};
+
+var segmentChoices = {
+        "shorter": "shorter",
+        "longer": "longer",
+        "include-top": "includeTop",
+        "include-bottom": "includeBottom",
+        "include-right": "includeRight",
+        "include-left": "includeLeft",
+        "exclude-top": "excludeTop",
+        "exclude-bottom": "excludeBottom",
+        "exclude-right": "excludeRight",
+        "exclude-left": "excludeLeft"
+};
+
+
+/*******************************************************************************
+ * Function: parseArguments
+ * Description:
+ *   Parse the command line arguments (without node and the script name) into
+ *   an options object.  Throws an Error for anything not understood.
+ */
+function parseArguments(args) {
+        var options = {
+                command: null,
+                input: null,
+                output: null,
+                tolerance: 5,
+                toleranceMode: "fixed",
+                sizeTolerance: 1,
+                strokeTolerance: 0.5,
+                keepLeading: false,
+                keepTrailing: false,
+                keepAveraged: false,
+                refit: false,
+                includeCompound: true,
+                includeLocked: false,
+                annotate: false,
+                exportFormat: null,
+                selection: "ignore",
+                handles: false,
+                handleTolerance: 1,
+                handleAction: "split",
+                maxDeviation: null,
+                collinear: false,
+                collinearAngle: 1,
+                coincident: false,
+                smallLoops: false,
+                loopMeasure: "area",
+                loopThreshold: 10,
+                degenerate: false,
+                deleteDegenerate: false,
+                algorithm: "douglas-peucker",
+                simplifyTolerance: 1,
+                advanced: {},
+                advancedOption: null,
+                segment: "shorter",
+                selectAll: false,
+                precision: 3,
+                format: null
+        };
+        var positional = [];
+        var i = 0;
+
+        function value(name) {
+                if (i + 1 >= args.length) {
+                        throw new Error("Option " + name + " needs a value");
+                }
+                return args[++i];
+        }
+        function number(name) {
+                var text = value(name);
+                if (text.trim() == "" || isNaN(Number(text))) {
+                        throw new Error("Option " + name + " needs a number, not '" + text + "'");
+                }
+                return Number(text);
+        }
+
+        for (i=0; i<args.length; i++) {
+                var arg = args[i];
+                if (arg == "-o" || arg == "--output") {
+                        options.output = value(arg);
+                }
+                else if (arg == "--tolerance") {
+                        options.tolerance = number(arg);
+                }
+                else if (arg == "--tolerance-mode") {
+                        options.toleranceMode = value(arg);
+                        if (["fixed", "size", "stroke"].indexOf(options.toleranceMode) < 0) {
+                                throw new Error("--tolerance-mode must be fixed, size or stroke");
+                        }
+                }
+                else if (arg == "--size-tolerance") {
+                        options.sizeTolerance = number(arg);
+                }
+                else if (arg == "--stroke-tolerance") {
+                        options.strokeTolerance = number(arg);
+                }
+                else if (arg == "--keep-leading") {
+                        options.keepLeading = true;
+                }
+                else if (arg == "--keep-trailing") {
+                        options.keepTrailing = true;
+                }
+                else if (arg == "--keep-averaged") {
+                        options.keepAveraged = true;
+                }
+                else if (arg == "--refit") {
+                        options.refit = true;
+                }
+                else if (arg == "--no-compound") {
+                        options.includeCompound = false;
+                }
+                else if (arg == "--include-locked") {
+                        options.includeLocked = true;
+                }
+                else if (arg == "--selection") {
+                        options.selection = value(arg);
+                        if (["ignore", "all", "any"].indexOf(options.selection) < 0) {
+                                throw new Error("--selection must be ignore, all or any");
+                        }
+                }
+                else if (arg == "--annotate") {
+                        options.annotate = true;
+                }
+                else if (arg == "--export") {
+                        options.exportFormat = value(arg);
+                        if (["csv", "json"].indexOf(options.exportFormat) < 0) {
+                                throw new Error("--export must be csv or json");
+                        }
+                }
+                else if (arg == "--handles") {
+                        options.handles = true;
+                }
+                else if (arg == "--handle-tolerance") {
+                        options.handleTolerance = number(arg);
+                }
+                else if (arg == "--handle-action") {
+                        options.handleAction = value(arg);
+                        if (["split", "skip"].indexOf(options.handleAction) < 0) {
+                                throw new Error("--handle-action must be split or skip");
+                        }
+                }
+                else if (arg == "--max-deviation") {
+                        options.maxDeviation = number(arg);
+                        if (options.maxDeviation <= 0) {
+                                throw new Error("--max-deviation must be more than 0");
+                        }
+                }
+                else if (arg == "--collinear") {
+                        options.collinear = true;
+                }
+                else if (arg == "--collinear-angle") {
+                        options.collinearAngle = number(arg);
+                }
+                else if (arg == "--coincident") {
+                        options.coincident = true;
+                }
+                else if (arg == "--small-loops") {
+                        options.smallLoops = true;
+                }
+                else if (arg == "--loop-measure") {
+                        options.loopMeasure = value(arg);
+                        if (["area", "perimeter"].indexOf(options.loopMeasure) < 0) {
+                                throw new Error("--loop-measure must be area or perimeter");
+                        }
+                }
+                else if (arg == "--loop-threshold") {
+                        options.loopThreshold = number(arg);
+                }
+                else if (arg == "--degenerate") {
+                        options.degenerate = true;
+                }
+                else if (arg == "--delete-degenerate") {
+                        options.degenerate = true;
+                        options.deleteDegenerate = true;
+                }
+                else if (arg == "--algorithm") {
+                        options.algorithm = value(arg);
+                        if (["douglas-peucker", "visvalingam-whyatt"].indexOf(options.algorithm) < 0) {
+                                throw new Error("--algorithm must be douglas-peucker or visvalingam-whyatt");
+                        }
+                }
+                else if (arg == "--simplify-tolerance") {
+                        options.simplifyTolerance = number(arg);
+                }
+                else if (advancedOptions[arg]) {
+                        options.advanced[advancedOptions[arg]] = number(arg);
+                        options.advancedOption = arg;
+                }
+                else if (arg == "--segment") {
+                        options.segment = value(arg);
+                        if (!segmentChoices[options.segment]) {
+                                throw new Error("--segment must be one of " + Object.keys(segmentChoices).join(", "));
+                        }
+                }
+                else if (arg == "--select-all") {
+                        options.selectAll = true;
+                }
+                else if (arg == "--precision") {
+                        options.precision = number(arg);
+                }
+                else if (arg == "--format") {
+                        options.format = value(arg);
+                        if (["svg", "geojson"].indexOf(options.format) < 0) {
+                                throw new Error("--format must be svg or geojson");
+                        }
+                }
+                else if (arg.charAt(0) == "-" && arg != "-") {
+                        throw new Error("Unknown option " + arg);
+                }
+                else {
+                        positional.push(arg);
+                }
+        }
+        if (positional.length != 2) {
+                throw new Error("Expected a command and an input file");
+        }
+        options.command = positional[0];
+        options.input = positional[1];
+        if (["analyze", "remove", "select", "simplify", "join", "smooth", "extract"].indexOf(options.command) < 0) {
+                throw new Error("Unknown command " + options.command);
+        }
+        if (options.format == null) {
+                options.format = /\.(geo)?json$/i.test(options.input) ? "geojson" : "svg";
+        }
+        if (options.format == "geojson" && ["analyze", "remove", "simplify"].indexOf(options.command) < 0) {
+                throw new Error("GeoJSON files take the analyze, remove and simplify commands only");
+        }
+        if (options.format == "geojson" && options.toleranceMode != "fixed") {
+                throw new Error("--tolerance-mode " + options.toleranceMode + " is not supported for GeoJSON files");
+        }
+        if (options.format == "geojson" && (options.handles || options.refit || options.maxDeviation != null || options.collinear || options.coincident || options.smallLoops || options.degenerate || options.annotate || options.exportFormat || options.advancedOption)) {
+                throw new Error((options.handles ? "--handles" : options.refit ? "--refit" : (options.maxDeviation != null) ? "--max-deviation" :
+                                 options.advancedOption ? options.advancedOption :
+                                 options.collinear ? "--collinear" : options.coincident ? "--coincident" :
+                                 options.smallLoops ? "--small-loops" : options.degenerate ? "--degenerate" :
+                                 options.annotate ? "--annotate" : "--export") +
+                                " is not supported for GeoJSON files");
+        }
+        return options;
+}
+
+/*******************************************************************************
+ * Function: removeRedundantPointsAnswer
+ * Description:
+ *   Return the canned answer to the RemoveRedundantPoints dialog for the
+ *   options.
+ */
+function removeRedundantPointsAnswer(options) {
+        var values = {};
+        var functions = { analyze: "doAnalyze", remove: "doRemove", select: "doSelect", simplify: "doSimplify", join: "doJoin" };
+        var selections = { ignore: "ignoreSelected", all: "allSelected", any: "anySelected" };
+        var name;
+
+        values["functionPnl." + functions[options.command]] = true;
+        values["selectionPnl." + selections[options.selection]] = true;
+        values["optionPnl.includeCompound"] = options.includeCompound;
+        values["optionPnl.includeLocked"] = options.includeLocked;
+        values["optionPnl.doAnnotate"] = options.annotate;
+        values["exportPnl.doExportNone"] = (options.exportFormat == null);
+        values["exportPnl.doExportCsv"] = (options.exportFormat == "csv");
+        values["exportPnl.doExportJson"] = (options.exportFormat == "json");
+        values["tolerancePnl.editText"] = String(options.tolerance);
+        values["toleranceModePnl.doFixed"] = (options.toleranceMode == "fixed");
+        values["toleranceModePnl.doSize"] = (options.toleranceMode == "size");
+        values["toleranceModePnl.doStroke"] = (options.toleranceMode == "stroke");
+        values["toleranceModePnl.sizeText"] = String(options.sizeTolerance);
+        values["toleranceModePnl.strokeText"] = String(options.strokeTolerance);
+        values["removalPnl.doKeepLeadingPoint"] = options.keepLeading;
+        values["removalPnl.doKeepTrailingPoint"] = options.keepTrailing;
+        values["removalPnl.doKeepAveragedPoint"] = options.keepAveraged;
+        values["advancedPnl.fields.doRefit"] = options.refit;
+        values["handlePnl.doHandles"] = options.handles;
+        values["handlePnl.editText"] = String(options.handleTolerance);
+        values["handlePnl.action"] = (options.handleAction == "skip") ? 1 : 0;
+        values["advancedPnl.fields.deviationPnl.doLimit"] = (options.maxDeviation != null);
+        if (options.maxDeviation != null) {
+                values["advancedPnl.fields.deviationPnl.editText"] = String(options.maxDeviation);
+        }
+        values["collinearPnl.doCollinear"] = options.collinear;
+        values["collinearPnl.editText"] = String(options.collinearAngle);
+        values["coincidentPnl.doCoincident"] = options.coincident;
+        values["loopPnl.doSmallLoops"] = options.smallLoops;
+        values["loopPnl.measure"] = (options.loopMeasure == "perimeter") ? 1 : 0;
+        values["loopPnl.editText"] = String(options.loopThreshold);
+        values["degeneratePnl.doDegenerate"] = options.degenerate;
+        values["degeneratePnl.doDelete"] = options.deleteDegenerate;
+        values["simplifyPnl.algorithm"] = (options.algorithm == "visvalingam-whyatt") ? 1 : 0;
+        values["simplifyPnl.editText"] = String(options.simplifyTolerance);
+        for (name in options.advanced) {
+                values["advancedPnl.fields." + name + ".editText"] = String(options.advanced[name]);
+        }
+        return { values: values };
+}
+
+/*******************************************************************************
+ * Function: runGeoJson
+ * Description:
+ *   Run the analyze, remove or simplify command on the GeoJSON text input as
+ *   the second parameter.  Returns the same object as run(), the output text
+ *   in svg.
+ */
+function runGeoJson(options, text) {
+        var result = geojson.cleanGeoJson(JSON.parse(text), {
+                tolerance: options.tolerance,
+                keepLeadingPoint: options.keepLeading,
+                keepTrailingPoint: options.keepTrailing,
+                keepAveragedPoint: options.keepAveraged,
+                analyze: options.command == "analyze",
+                simplify: (options.command == "simplify") ? options.algorithm : null,
+                simplifyTolerance: options.simplifyTolerance
+        });
+
+        return {
+                svg: JSON.stringify(result.geojson) + "\n",
+                results: geojson.formatReport(result),
+                alerts: []
+        };
+}
+
+/*******************************************************************************
+ * Function: run
+ * Description:
+ *   Run a command on the SVG (or, with format geojson, GeoJSON) text input as
+ *   the second parameter.  Returns { svg: output text, results: lines of the
+ *   results dialog, alerts: [...] }.
+ */
+function run(options, text) {
+        var state;
+        var script;
+        var dialogs = [];
+        var session;
+        var results = [];
+
+        if (options.format == "geojson") {
+                return runGeoJson(options, text);
+        }
+        state = svg.readSvg(text, options.selectAll, (options.input == "-") ? undefined : path.resolve(options.input));
+
+        if (options.command == "smooth") {
+                script = "SmoothCurvePoints.jsx";
+        }
+        else if (options.command == "extract") {
+                var values = {};
+                values["functionPnl." + segmentChoices[options.segment]] = true;
+                script = "SegmentToSandbox.jsx";
+                dialogs.push({ values: values });
+        }
+        else {
+                script = "RemoveRedundantPoints.jsx";
+                dialogs.push(removeRedundantPointsAnswer(options));
+        }
+
+        session = runJsx.runScript(path.join(scriptFolder, script), {
+                document: state.document,
+                dialogs: dialogs
+        });
+        if (session.error) {
+                throw session.error;
+        }
+        /*
+         * The dialog after the options dialog holds the results.  Its note on
+         * the original points stored for RevertRedundantPoints.jsx is left
+         * out, since tags are not written to the SVG file.
+         */
+        if (script == "RemoveRedundantPoints.jsx" && session.dialogs.length > 1) {
+                results = dom.dialogText(session.dialogs[session.dialogs.length - 1]).filter(function (line) {
+                        return !/^Original points of \d+ changed paths stored\./.test(line);
+                });
+        }
+        return {
+                svg: svg.writeSvg(state, options.precision),
+                results: results,
+                alerts: session.alerts
+        };
+}
+
+function usage() {
+        return "usage: node tools/pathclean.js analyze|remove|select|simplify|join|smooth|extract <input.svg> [options]\n" +
+               "       node tools/pathclean.js analyze|remove|simplify <input.geojson> [options]\n" +
+               "       (see the top of tools/pathclean.js for the options)\n";
+}
+
+/*******************************************************************************
+ * Function: writeOutput
+ * Description:
+ *   Write the text input as the second parameter to the file named by the
+ *   first parameter, or to stdout if the name is -.
+ */
+function writeOutput(output, text) {
+        if (output == "-") {
+                process.stdout.write(text);
+        }
+        else {
+                fs.writeFileSync(output, text);
+        }
+}
+
+function main(args) {
+        var options;
+        var result;
+
+        try {
+                options = parseArguments(args);
+        }
+        catch (er) {
+                process.stderr.write(er.message + "\n" + usage());
+                return 2;
+        }
+        try {
+                result = run(options, fs.readFileSync(options.input == "-" ? 0 : options.input, "utf8"));
+        }
+        catch (er) {
+                process.stderr.write(options.input + ": " + er.message + "\n");
+                return 1;
+        }
+
+        result.alerts.forEach(function (message) {
+                process.stderr.write(message.replace(/\n+$/, "") + "\n");
+        });
+        if (options.command == "analyze" && options.output != "-") {
+                process.stdout.write(result.results.join("\n") + "\n");
+                if (options.output) {
+                        writeOutput(options.output, result.svg);
+                }
+        }
+        else {
+                if (result.results.length > 0) {
+                        process.stderr.write(result.results.join("\n") + "\n");
+                }
+                writeOutput(options.output || "-", result.svg);
+        }
+        return (result.alerts.length > 0) ? 1 : 0;
+}
+
+
+if (require.main === module) {
+        process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = {
+        parseArguments: parseArguments,
+        run: run,
+        main: main
+};
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/*
+  run-jsx.js
+  Run one of the Illustrator scripts in this folder under Node, against the
+  in-memory DOM of illustrator-dom.js
+
+  Purpose:
+  Load a .jsx file, resolve its //@include (or #include) directives the way
+  ExtendScript does, and run it with app, Window, File, Folder, alert(),
+  confirm() and the Illustrator enumerations defined.  Dialogs and confirm()
+  prompts are answered from canned answers.
+
+  To Use:
+  From Node:
+
+        var runJsx = require("./tools/run-jsx");
+        var session = runJsx.runScript("RemoveRedundantPoints.jsx", {
+                document: { layers: [ ... ] },
+                dialogs: [ { values: { "tolerancePnl.editText": "1" } } ],
+                confirms: [ true ]
+        });
+
+  session.document is the Document the script ran against, session.dialogs the
+  windows it showed, and session.alerts and session.confirms the messages it
+  displayed.  See illustrator-dom.js for the document description and the
+  form of dialog answers.
+
+  From the command line, with a JSON file holding the same options:
+
+        node tools/run-jsx.js RemoveRedundantPoints.jsx fixture.json
+
+  prints the resulting document description, dialog text and messages as JSON.
+*/
+
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+var dom = require("./illustrator-dom");
+
+
+/*******************************************************************************
+ * Function: loadScript
+ * Description:
+ *   Return the source of a script with its include directives replaced by the
+ *   source of the included files.  Include paths are relative to the including
+ *   file.  Preprocessor lines like #target are dropped.
+ */
+function loadScript(scriptPath) {
+        var source = fs.readFileSync(scriptPath, "utf8").replace(/\r\n?/g, "\n");
+        var directory = path.dirname(scriptPath);
+
+        return source.split("\n").map(function (line) {
+                var include = /^\s*(?:\/\/@|#)include\s+["']?([^"']+)["']?\s*;?\s*$/.exec(line);
+                if (include) {
+                        return loadScript(path.resolve(directory, include[1]));
+                }
+                if (/^\s*#/.test(line)) {
+                        return "";
+                }
+                return line;
+        }).join("\n");
+}
+
+/*******************************************************************************
+ * Function: createSession
+ * Description:
+ *   Create the state shared by the DOM and the script globals: the
+ *   application, canned answers and recorded messages.  The document option
+ *   is a Document or a description for createDocument().  File dialogs are
+ *   answered from the fileDialogs option (paths, or null for Cancel), and
+ *   Folder.userData is the userData option if given (see createFileSystem()).
+ */
+function createSession(options) {
+        var session = {
+                app: new dom.Application(),
+                answers: (options.dialogs || []).slice(),
+                confirmAnswers: (options.confirms || []).slice(),
+                promptAnswers: (options.prompts || []).slice(),
+                fileDialogAnswers: (options.fileDialogs || []).slice(),
+                userData: options.userData,
+                dialogs: [],
+                fileDialogs: [],
+                alerts: [],
+                confirms: [],
+                prompts: [],
+                log: []
+        };
+        var documents = options.documents || (options.document ? [options.document] : []);
+        var i = 0;
+
+        session.fileSystem = dom.createFileSystem(session);
+        session.app._fileSystem = session.fileSystem;
+        for (i=documents.length-1; i>=0; i--) {
+                var document = documents[i];
+                if (!(document instanceof dom.Document)) {
+                        document = dom.createDocument(document);
+                }
+                session.app.addDocument(document);
+        }
+        session.document = session.app._documents[0];
+
+        session.confirm = function (message) {
+                session.confirms.push(String(message));
+                return session.confirmAnswers.length > 0 ? !!session.confirmAnswers.shift() : true;
+        };
+        return session;
+}
+
+/*******************************************************************************
+ * Function: createGlobals
+ * Description:
+ *   Return the global object a script runs with.
+ */
+function createGlobals(session, scriptPath) {
+        var globals = {
+                app: session.app,
+                Window: dom.createScriptUI(session),
+                File: session.fileSystem.File,
+                Folder: session.fileSystem.Folder,
+                PointType: dom.PointType,
+                PathPointSelection: dom.PathPointSelection,
+                ZOrderMethod: dom.ZOrderMethod,
+                SaveOptions: dom.SaveOptions,
+                UserInteractionLevel: dom.UserInteractionLevel,
+                IllustratorSaveOptions: dom.IllustratorSaveOptions,
+                CMYKColor: dom.CMYKColor,
+                RGBColor: dom.RGBColor,
+                GrayColor: dom.GrayColor,
+                NoColor: dom.NoColor,
+                alert: function (message) {
+                        session.alerts.push(String(message));
+                },
+                confirm: session.confirm,
+                prompt: function (message, preset) {
+                        session.prompts.push(String(message));
+                        return session.promptAnswers.length > 0 ? session.promptAnswers.shift() : preset;
+                },
+                $: {
+                        fileName: path.resolve(scriptPath),
+                        writeln: function (message) {
+                                session.log.push(String(message));
+                        },
+                        write: function (message) {
+                                session.log.push(String(message));
+                        }
+                }
+        };
+        return globals;
+}
+
+/*******************************************************************************
+ * Function: runScript
+ * Description:
+ *   Run a script against a new session built from options (see the top of
+ *   this file) and return the session.  An error thrown out of the script is
+ *   stored in session.error; pass rethrow: true to have it thrown instead.
+ */
+function runScript(scriptPath, options) {
+        var session;
+        var context;
+
+        options = options || {};
+        session = createSession(options);
+        context = vm.createContext(createGlobals(session, scriptPath));
+        session.context = context;
+        try {
+                vm.runInContext(loadScript(scriptPath), context, { filename: scriptPath });
+        }
+        catch (er) {
+                session.error = er;
+                if (options.rethrow) {
+                        throw er;
+                }
+        }
+        return session;
+}
+
+/*******************************************************************************
+ * Function: describeSession
+ * Description:
+ *   Return a plain summary of a session after a run.
+ */
+function describeSession(session) {
+        return {
+                document: session.document ? dom.describeDocument(session.document) : null,
+                dialogs: session.dialogs.map(function (window) {
+                        return { title: window.text, text: dom.dialogText(window) };
+                }),
+                alerts: session.alerts,
+                confirms: session.confirms,
+                error: session.error ? String(session.error) : undefined
+        };
+}
+
+
+if (require.main === module) {
+        var args = process.argv.slice(2);
+        var fixture;
+        var session;
+
+        if (args.length < 1) {
+                process.stderr.write("usage: node tools/run-jsx.js <script.jsx> [fixture.json]\n");
+                process.exit(2);
+        }
+        fixture = args[1] ? JSON.parse(fs.readFileSync(args[1], "utf8")) : {};
+        session = runScript(args[0], fixture);
+        process.stdout.write(JSON.stringify(describeSession(session), null, 2) + "\n");
+        process.exit(session.error ? 1 : 0);
+}
+
+module.exports = {
+        loadScript: loadScript,
+        createSession: createSession,
+        runScript: runScript,
+        describeSession: describeSession
+};
@@ -0,0 +1,1066 @@
+/*
+  svg.js
+  Read SVG files into the in-memory Illustrator DOM and write them back
+
+  Purpose:
+  Path data is read into point records (anchor, leftDirection, rightDirection,
+  pointType, selected), the same records RedundantPointsCore.jsxinc works on.
+  All path commands are understood, absolute and relative: M L H V C S Q T A Z.
+  Quadratic segments and arcs are converted to cubic segments, as Illustrator
+  does on import.  A path element with several subpaths becomes a compound
+  path.
+
+  The file is otherwise kept as it was: only the d attribute of a path whose
+  points changed is rewritten, so ids, styles and the <g> structure survive.
+  Top level <g> elements (and any with inkscape:groupmode="layer") become
+  layers, named from inkscape:label, data-name or id.  Other <g> elements
+  become groups.  Items inside defs, clip paths, masks and the like are left
+  alone, as are transforms: tolerances apply in each path's own coordinates.
+  The stroke and stroke-width of each path are read from its style or
+  attributes, or those of its ancestors, for the Stroke Width tolerance mode.
+
+  Selection does not exist in SVG, so selected anchor points are read from and
+  written to a data-selected-points attribute on the path, holding point
+  indicies (counting across subpaths) or the word "all".  A path marked
+  sodipodi:insensitive="true" or data-locked="true" is locked.
+
+  Items and layers added by a script are written with their name and note in
+  data-name and data-note attributes (names need not be unique or valid ids),
+  and data-locked="true" when locked.  Layers and groups removed by a script
+  are removed from the file along with their content.
+
+  SVG has Y pointing down, Illustrator up.  Coordinates are flipped on the way
+  in and back on the way out, so "top" means the same thing in both.
+*/
+
+var dom = require("./illustrator-dom");
+
+
+/*******************************************************************************
+ * Path data
+ */
+
+/*
+ * Function: tokenizePathData
+ * Description:
+ *   Return a reader over the path data string input as the parameter, with
+ *   methods to read command letters, numbers and arc flags.
+ */
+function tokenizePathData(d) {
+        var position = 0;
+        var numberPattern = /[+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+        function skipSeparators() {
+                while (position < d.length && /[\s,]/.test(d.charAt(position))) {
+                        position++;
+                }
+        }
+
+        return {
+                atEnd: function () {
+                        skipSeparators();
+                        return position >= d.length;
+                },
+                nextIsCommand: function () {
+                        skipSeparators();
+                        return /[MmLlHhVvCcSsQqTtAaZz]/.test(d.charAt(position));
+                },
+                readCommand: function () {
+                        skipSeparators();
+                        return d.charAt(position++);
+                },
+                readNumber: function () {
+                        var match;
+                        skipSeparators();
+                        numberPattern.lastIndex = position;
+                        match = numberPattern.exec(d);
+                        if (!match) {
+                                throw new Error("Bad path data at character " + position + ": " + d.slice(position, position + 20));
+                        }
+                        position = numberPattern.lastIndex;
+                        return parseFloat(match[0]);
+                },
+                readFlag: function () {
+                        var flag;
+                        skipSeparators();
+                        flag = d.charAt(position);
+                        if (flag != "0" && flag != "1") {
+                                throw new Error("Bad arc flag at character " + position);
+                        }
+                        position++;
+                        return flag == "1";
+                }
+        };
+}
+
+/*
+ * Function: arcToCubics
+ * Description:
+ *   Convert an elliptical arc from the point (x1, y1), with the SVG arc
+ *   parameters, into cubic segments.  Returns an array of [control1, control2,
+ *   end] triplets, or null if the arc is a straight line.  Follows the
+ *   endpoint to center conversion of the SVG specification, splitting the arc
+ *   into pieces of at most 90 degrees.
+ */
+function arcToCubics(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        var phi = rotation * Math.PI / 180;
+        var cosPhi = Math.cos(phi);
+        var sinPhi = Math.sin(phi);
+        var dx = (x1 - x2) / 2;
+        var dy = (y1 - y2) / 2;
+        var x1p = cosPhi * dx + sinPhi * dy;
+        var y1p = -sinPhi * dx + cosPhi * dy;
+        var lambda;
+        var numerator;
+        var denominator;
+        var coefficient;
+        var cxp;
+        var cyp;
+        var cx;
+        var cy;
+        var theta1;
+        var deltaTheta;
+        var segments;
+        var delta;
+        var t;
+        var cubics = [];
+        var i = 0;
+
+        if (x1 == x2 && y1 == y2) {
+                return [];
+        }
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        if (rx == 0 || ry == 0) {
+                return null;
+        }
+
+        lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+        if (lambda > 1) {
+                rx *= Math.sqrt(lambda);
+                ry *= Math.sqrt(lambda);
+        }
+        numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+        denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+        coefficient = Math.sqrt(Math.max(0, numerator / denominator));
+        if (largeArc == sweep) {
+                coefficient = -coefficient;
+        }
+        cxp = coefficient * rx * y1p / ry;
+        cyp = -coefficient * ry * x1p / rx;
+        cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+        cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+        function vectorAngle(ux, uy, vx, vy) {
+                return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        }
+        theta1 = vectorAngle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+        deltaTheta = vectorAngle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+        if (!sweep && deltaTheta > 0) {
+                deltaTheta -= 2 * Math.PI;
+        }
+        else if (sweep && deltaTheta < 0) {
+                deltaTheta += 2 * Math.PI;
+        }
+
+        function mapPoint(ux, uy) {
+                return [cx + rx * ux * cosPhi - ry * uy * sinPhi,
+                        cy + rx * ux * sinPhi + ry * uy * cosPhi];
+        }
+        segments = Math.max(1, Math.ceil(Math.abs(deltaTheta) / (Math.PI / 2) - 1e-9));
+        delta = deltaTheta / segments;
+        t = 4 / 3 * Math.tan(delta / 4);
+        for (i=0; i<segments; i++) {
+                var a1 = theta1 + i * delta;
+                var a2 = a1 + delta;
+                var end = (i == segments - 1) ? [x2, y2] : mapPoint(Math.cos(a2), Math.sin(a2));
+                cubics.push([mapPoint(Math.cos(a1) - t * Math.sin(a1), Math.sin(a1) + t * Math.cos(a1)),
+                             mapPoint(Math.cos(a2) + t * Math.sin(a2), Math.sin(a2) - t * Math.cos(a2)),
+                             end]);
+        }
+        return cubics;
+}
+
+function newPoint(anchor) {
+        return {
+                anchor: [anchor[0], anchor[1]],
+                leftDirection: [anchor[0], anchor[1]],
+                rightDirection: [anchor[0], anchor[1]],
+                pointType: "CORNER",
+                selected: false
+        };
+}
+
+function samePair(a, b) {
+        return Math.abs(a[0] - b[0]) < 1e-9 && Math.abs(a[1] - b[1]) < 1e-9;
+}
+
+/*
+ * A point is SMOOTH when both handles are extended and point in opposite
+ * directions.
+ */
+function classifyPoint(point) {
+        var left = [point.leftDirection[0] - point.anchor[0], point.leftDirection[1] - point.anchor[1]];
+        var right = [point.rightDirection[0] - point.anchor[0], point.rightDirection[1] - point.anchor[1]];
+        var cross;
+        var dot;
+
+        if (samePair(left, [0, 0]) || samePair(right, [0, 0])) {
+                return "CORNER";
+        }
+        cross = left[0] * right[1] - left[1] * right[0];
+        dot = left[0] * right[0] + left[1] * right[1];
+        return (Math.abs(Math.atan2(cross, dot)) > Math.PI - 1e-3) ? "SMOOTH" : "CORNER";
+}
+
+/*******************************************************************************
+ * Function: parsePathData
+ * Description:
+ *   Parse an SVG path data string.  Returns an array of subpaths, each
+ *   { closed: boolean, points: [ point record, ... ] }.  A closed subpath whose
+ *   last anchor falls on its first anchor has the two merged, as the closing
+ *   segment then joins them.
+ */
+function parsePathData(d) {
+        var reader = tokenizePathData(d || "");
+        var subpaths = [];
+        var subpath = null;
+        var current = [0, 0];
+        var start = [0, 0];
+        var lastCubicControl = null;
+        var lastQuadraticControl = null;
+        var command = "";
+        var previousCommand = "";
+
+        function lastPoint() {
+                return subpath.points[subpath.points.length - 1];
+        }
+        function ensureSubpath() {
+                if (subpath == null) {
+                        subpath = { closed: false, points: [newPoint(start)] };
+                        subpaths.push(subpath);
+                }
+        }
+        function moveTo(point) {
+                subpath = { closed: false, points: [newPoint(point)] };
+                subpaths.push(subpath);
+                start = point;
+                current = point;
+        }
+        function lineTo(point) {
+                ensureSubpath();
+                subpath.points.push(newPoint(point));
+                current = point;
+        }
+        function curveTo(control1, control2, point) {
+                var added;
+                ensureSubpath();
+                lastPoint().rightDirection = [control1[0], control1[1]];
+                added = newPoint(point);
+                added.leftDirection = [control2[0], control2[1]];
+                subpath.points.push(added);
+                current = point;
+        }
+        function closePath() {
+                var first;
+                var last;
+                if (subpath != null) {
+                        subpath.closed = true;
+                        first = subpath.points[0];
+                        last = lastPoint();
+                        if (subpath.points.length > 1 && samePair(first.anchor, last.anchor)) {
+                                first.leftDirection = last.leftDirection;
+                                subpath.points.pop();
+                        }
+                }
+                subpath = null;
+                current = start;
+        }
+        function readPair(relative) {
+                var x = reader.readNumber();
+                var y = reader.readNumber();
+                return relative ? [current[0] + x, current[1] + y] : [x, y];
+        }
+        function reflect(control) {
+                return control ? [2 * current[0] - control[0], 2 * current[1] - control[1]] : current;
+        }
+
+        while (!reader.atEnd()) {
+                if (reader.nextIsCommand()) {
+                        command = reader.readCommand();
+                }
+                else if (command == "" || command == "Z" || command == "z") {
+                        throw new Error("Bad path data: expected a command");
+                }
+                else if (command == "M") {
+                        command = "L";
+                }
+                else if (command == "m") {
+                        command = "l";
+                }
+
+                var relative = (command == command.toLowerCase());
+                var upper = command.toUpperCase();
+                var control1;
+                var control2;
+                var point;
+
+                if (upper == "M") {
+                        moveTo(readPair(relative));
+                }
+                else if (upper == "L") {
+                        lineTo(readPair(relative));
+                }
+                else if (upper == "H") {
+                        point = reader.readNumber();
+                        lineTo([relative ? current[0] + point : point, current[1]]);
+                }
+                else if (upper == "V") {
+                        point = reader.readNumber();
+                        lineTo([current[0], relative ? current[1] + point : point]);
+                }
+                else if (upper == "C") {
+                        control1 = readPair(relative);
+                        control2 = readPair(relative);
+                        point = readPair(relative);
+                        curveTo(control1, control2, point);
+                        lastCubicControl = control2;
+                }
+                else if (upper == "S") {
+                        control1 = reflect(/[CcSs]/.test(previousCommand) ? lastCubicControl : null);
+                        control2 = readPair(relative);
+                        point = readPair(relative);
+                        curveTo(control1, control2, point);
+                        lastCubicControl = control2;
+                }
+                else if (upper == "Q" || upper == "T") {
+                        var quadratic;
+                        if (upper == "Q") {
+                                quadratic = readPair(relative);
+                        }
+                        else {
+                                quadratic = reflect(/[QqTt]/.test(previousCommand) ? lastQuadraticControl : null);
+                        }
+                        point = readPair(relative);
+                        curveTo([current[0] + 2 / 3 * (quadratic[0] - current[0]), current[1] + 2 / 3 * (quadratic[1] - current[1])],
+                                [point[0] + 2 / 3 * (quadratic[0] - point[0]), point[1] + 2 / 3 * (quadratic[1] - point[1])],
+                                point);
+                        lastQuadraticControl = quadratic;
+                }
+                else if (upper == "A") {
+                        var rx = reader.readNumber();
+                        var ry = reader.readNumber();
+                        var rotation = reader.readNumber();
+                        var largeArc = reader.readFlag();
+                        var sweep = reader.readFlag();
+                        var cubics;
+                        var i = 0;
+                        point = readPair(relative);
+                        cubics = arcToCubics(current[0], current[1], rx, ry, rotation, largeArc, sweep, point[0], point[1]);
+                        if (cubics == null) {
+                                lineTo(point);
+                        }
+                        for (i=0; cubics && i<cubics.length; i++) {
+                                curveTo(cubics[i][0], cubics[i][1], cubics[i][2]);
+                        }
+                }
+                else if (upper == "Z") {
+                        closePath();
+                }
+                else {
+                        throw new Error("Bad path data: unknown command " + command);
+                }
+                previousCommand = command;
+        }
+
+        subpaths.forEach(function (each) {
+                each.points.forEach(function (point) {
+                        point.pointType = classifyPoint(point);
+                });
+        });
+        return subpaths;
+}
+
+function formatNumber(value, precision) {
+        var text = value.toFixed(precision);
+        if (text.indexOf(".") >= 0) {
+                text = text.replace(/0+$/, "").replace(/\.$/, "");
+        }
+        return (text == "-0") ? "0" : text;
+}
+
+/*******************************************************************************
+ * Function: formatPathData
+ * Description:
+ *   Return the SVG path data for an array of subpaths, as returned from
+ *   parsePathData(), using absolute commands.  Segments with both handles
+ *   retracted are written as lines.  Numbers are rounded to the given number
+ *   of decimals (default 3).
+ */
+function formatPathData(subpaths, precision) {
+        var parts = [];
+
+        if (precision == null) {
+                precision = 3;
+        }
+        function pair(point) {
+                return formatNumber(point[0], precision) + " " + formatNumber(point[1], precision);
+        }
+        function segment(from, to) {
+                if (samePair(from.rightDirection, from.anchor) && samePair(to.leftDirection, to.anchor)) {
+                        return "L" + pair(to.anchor);
+                }
+                return "C" + pair(from.rightDirection) + " " + pair(to.leftDirection) + " " + pair(to.anchor);
+        }
+
+        subpaths.forEach(function (subpath) {
+                var points = subpath.points;
+                var i = 0;
+                if (points.length == 0) {
+                        return;
+                }
+                parts.push("M" + pair(points[0].anchor));
+                for (i=1; i<points.length; i++) {
+                        parts.push(segment(points[i-1], points[i]));
+                }
+                if (subpath.closed) {
+                        var closing = segment(points[points.length-1], points[0]);
+                        if (closing.charAt(0) == "C") {
+                                parts.push(closing);
+                        }
+                        parts.push("Z");
+                }
+        });
+        return parts.join(" ");
+}
+
+
+/*******************************************************************************
+ * XML
+ *
+ * Just enough XML to edit an SVG file in place.  Elements keep the text of
+ * their tags, and are only written from their attributes once an attribute
+ * has been changed.  Everything else is kept verbatim.
+ */
+function decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, function (match, entity) {
+                if (entity.charAt(0) == "#") {
+                        return String.fromCharCode(entity.charAt(1) == "x" ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+                }
+                return { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" }[entity];
+        });
+}
+
+function encodeAttribute(text) {
+        return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/"/g, "&quot;");
+}
+
+/*******************************************************************************
+ * Function: parseXml
+ * Description:
+ *   Parse an XML document into a tree of nodes.  Returns the root node, whose
+ *   children are the top level nodes.
+ */
+function parseXml(text) {
+        var root = { type: "root", children: [], parent: null };
+        var stack = [root];
+        var position = 0;
+        var attributePattern = /(\s+)([^\s=\/>]+)(?:\s*=\s*("([^"]*)"|'([^']*)'|([^\s>]+)))?/y;
+
+        function top() {
+                return stack[stack.length - 1];
+        }
+        function addRaw(end) {
+                top().children.push({ type: "raw", text: text.slice(position, end), parent: top() });
+                position = end;
+        }
+        function endOf(marker, from) {
+                var index = text.indexOf(marker, from);
+                if (index < 0) {
+                        throw new Error("Unterminated XML at character " + position);
+                }
+                return index + marker.length;
+        }
+
+        while (position < text.length) {
+                if (text.startsWith("<!--", position)) {
+                        addRaw(endOf("-->", position + 4));
+                }
+                else if (text.startsWith("<![CDATA[", position)) {
+                        addRaw(endOf("]]>", position + 9));
+                }
+                else if (text.startsWith("<?", position)) {
+                        addRaw(endOf("?>", position + 2));
+                }
+                else if (text.startsWith("<!", position)) {
+                        var depth = 0;
+                        var end = position + 2;
+                        while (end < text.length && !(text.charAt(end) == ">" && depth == 0)) {
+                                if (text.charAt(end) == "[") {
+                                        depth++;
+                                }
+                                else if (text.charAt(end) == "]") {
+                                        depth--;
+                                }
+                                end++;
+                        }
+                        addRaw(end + 1);
+                }
+                else if (text.startsWith("</", position)) {
+                        var closeEnd = endOf(">", position);
+                        var closeName = text.slice(position + 2, closeEnd - 1).trim();
+                        var element = stack.pop();
+                        if (element.type != "element" || element.name != closeName) {
+                                throw new Error("Mismatched closing tag </" + closeName + "> at character " + position);
+                        }
+                        element.rawClose = text.slice(position, closeEnd);
+                        position = closeEnd;
+                }
+                else if (text.charAt(position) == "<") {
+                        var tagStart = position;
+                        var nameMatch = /<([^\s\/>]+)/y;
+                        var node;
+                        var match;
+                        nameMatch.lastIndex = position;
+                        match = nameMatch.exec(text);
+                        if (!match) {
+                                throw new Error("Bad tag at character " + position);
+                        }
+                        node = { type: "element", name: match[1], attributes: [], children: [], parent: top() };
+                        position = nameMatch.lastIndex;
+                        for (;;) {
+                                attributePattern.lastIndex = position;
+                                match = attributePattern.exec(text);
+                                if (!match) {
+                                        break;
+                                }
+                                node.attributes.push({
+                                        space: match[1],
+                                        name: match[2],
+                                        value: (match[4] != null) ? match[4] : (match[5] != null) ? match[5] : (match[6] || ""),
+                                        quote: (match[5] != null) ? "'" : "\""
+                                });
+                                position = attributePattern.lastIndex;
+                        }
+                        var tagEnd = endOf(">", position);
+                        node.selfClosing = /\/\s*>$/.test(text.slice(position, tagEnd));
+                        node.rawOpen = text.slice(tagStart, tagEnd);
+                        position = tagEnd;
+                        top().children.push(node);
+                        if (!node.selfClosing) {
+                                stack.push(node);
+                        }
+                }
+                else {
+                        var next = text.indexOf("<", position);
+                        addRaw(next < 0 ? text.length : next);
+                }
+        }
+        if (stack.length > 1) {
+                throw new Error("Unclosed element <" + top().name + ">");
+        }
+        return root;
+}
+
+/*******************************************************************************
+ * Function: serializeXml
+ * Description:
+ *   Return the text of a node tree from parseXml().
+ */
+function serializeXml(node) {
+        var text = "";
+
+        if (node.type == "raw") {
+                return node.text;
+        }
+        if (node.type == "element") {
+                if (node.rawOpen == null) {
+                        text = "<" + node.name + node.attributes.map(function (attribute) {
+                                return attribute.space + attribute.name + "=" + attribute.quote +
+                                        attribute.value + attribute.quote;
+                        }).join("") + (node.selfClosing ? "/>" : ">");
+                }
+                else {
+                        text = node.rawOpen;
+                }
+        }
+        node.children.forEach(function (child) {
+                text += serializeXml(child);
+        });
+        if (node.type == "element" && !node.selfClosing) {
+                text += (node.rawClose != null) ? node.rawClose : "</" + node.name + ">";
+        }
+        return text;
+}
+
+function getAttribute(node, name) {
+        var i = 0;
+        for (i=0; i<node.attributes.length; i++) {
+                if (node.attributes[i].name == name) {
+                        return decodeEntities(node.attributes[i].value);
+                }
+        }
+        return null;
+}
+
+function setAttribute(node, name, value) {
+        var i = 0;
+        node.rawOpen = null;
+        for (i=0; i<node.attributes.length; i++) {
+                if (node.attributes[i].name == name) {
+                        node.attributes[i].value = encodeAttribute(value);
+                        node.attributes[i].quote = "\"";
+                        return;
+                }
+        }
+        node.attributes.push({ space: " ", name: name, value: encodeAttribute(value), quote: "\"" });
+}
+
+function removeAttribute(node, name) {
+        var i = 0;
+        for (i=0; i<node.attributes.length; i++) {
+                if (node.attributes[i].name == name) {
+                        node.attributes.splice(i, 1);
+                        node.rawOpen = null;
+                        return;
+                }
+        }
+}
+
+function createElement(parent, name, attributes) {
+        var node = { type: "element", name: name, attributes: [], children: [], parent: parent, selfClosing: false };
+        Object.keys(attributes).forEach(function (attribute) {
+                setAttribute(node, attribute, attributes[attribute]);
+        });
+        return node;
+}
+
+function localName(node) {
+        return node.name.replace(/^.*:/, "");
+}
+
+function elementChildren(node) {
+        return node.children.filter(function (child) { return child.type == "element"; });
+}
+
+
+/*******************************************************************************
+ * SVG documents
+ */
+function flipSubpaths(subpaths) {
+        subpaths.forEach(function (subpath) {
+                subpath.points.forEach(function (point) {
+                        point.anchor[1] = -point.anchor[1];
+                        point.leftDirection[1] = -point.leftDirection[1];
+                        point.rightDirection[1] = -point.rightDirection[1];
+                });
+        });
+        return subpaths;
+}
+
+function isLocked(node) {
+        return getAttribute(node, "sodipodi:insensitive") == "true" ||
+               getAttribute(node, "data-locked") == "true";
+}
+
+function itemName(node) {
+        return getAttribute(node, "data-name") || getAttribute(node, "id") || "";
+}
+
+function layerName(node, fallback) {
+        return getAttribute(node, "inkscape:label") || getAttribute(node, "data-name") ||
+               getAttribute(node, "id") || fallback;
+}
+
+/*
+ * The value of a presentation property of an element, from its style
+ * attribute or its presentation attribute, inherited from its ancestors if
+ * it has neither.  Returns null if no element sets it.
+ */
+function getInheritedProperty(node, name) {
+        var style;
+        var match;
+        var value;
+
+        for (; node && node.type == "element"; node = node.parent) {
+                style = getAttribute(node, "style");
+                match = style && new RegExp("(?:^|;)\\s*" + name + "\\s*:\\s*([^;]+)").exec(style);
+                value = match ? match[1] : getAttribute(node, name);
+                if (value != null && value.trim() != "inherit") {
+                        return value.trim();
+                }
+        }
+        return null;
+}
+
+/*
+ * Describe a path element as a path or compound path item for createDocument().
+ * The stroke is read as for SVG rendering: none unless set, 1 wide.
+ */
+function describePathElement(node, selectAll) {
+        var subpaths = flipSubpaths(parsePathData(getAttribute(node, "d")));
+        var selection = getAttribute(node, "data-selected-points");
+        var stroke = getInheritedProperty(node, "stroke");
+        var strokeWidth = parseFloat(getInheritedProperty(node, "stroke-width"));
+        var selected = {};
+        var index = 0;
+        var paths;
+
+        if (subpaths.length == 0) {
+                return null;
+        }
+        if (selection != null && selection.trim() != "all") {
+                selection.split(/[\s,]+/).forEach(function (each) {
+                        if (each != "") {
+                                selected[Number(each)] = true;
+                        }
+                });
+        }
+        paths = subpaths.map(function (subpath) {
+                return {
+                        type: "path",
+                        closed: subpath.closed,
+                        stroked: stroke != null && stroke != "none",
+                        strokeWidth: isNaN(strokeWidth) ? 1 : strokeWidth,
+                        points: subpath.points.map(function (point) {
+                                point.selected = selectAll || (selection != null && selection.trim() == "all") || !!selected[index++];
+                                return point;
+                        })
+                };
+        });
+        if (paths.length == 1) {
+                paths[0].name = itemName(node);
+                paths[0].note = getAttribute(node, "data-note") || "";
+                paths[0].locked = isLocked(node);
+                paths[0].source = node;
+                return paths[0];
+        }
+        return {
+                type: "compound",
+                name: itemName(node),
+                note: getAttribute(node, "data-note") || "",
+                locked: isLocked(node),
+                source: node,
+                paths: paths
+        };
+}
+
+/*
+ * Describe the children of a container element.  Items are listed topmost
+ * first, the reverse of SVG document order.
+ */
+function describeChildren(node, description, selectAll) {
+        elementChildren(node).forEach(function (child) {
+                var name = localName(child);
+                if (name == "path") {
+                        var item = describePathElement(child, selectAll);
+                        if (item) {
+                                description.items.unshift(item);
+                        }
+                }
+                else if (name == "g" && getAttribute(child, "inkscape:groupmode") == "layer" && description.layers) {
+                        description.layers.unshift(describeLayer(child, selectAll));
+                }
+                else if (name == "g" || name == "a" || name == "switch") {
+                        var group = { type: "group", name: itemName(child), locked: isLocked(child),
+                                      source: child, items: [] };
+                        describeChildren(child, group, selectAll);
+                        description.items.unshift(group);
+                }
+        });
+}
+
+function describeLayer(node, selectAll) {
+        var description = {
+                name: layerName(node, "Layer"),
+                locked: isLocked(node),
+                visible: getAttribute(node, "display") != "none",
+                source: node,
+                layers: [],
+                items: []
+        };
+        describeChildren(node, description, selectAll);
+        return description;
+}
+
+/*******************************************************************************
+ * Function: readSvg
+ * Description:
+ *   Read SVG text into a Document of the in-memory DOM.  The second parameter,
+ *   if true, marks every anchor point as selected.  The optional third
+ *   parameter is the file the text came from, which becomes the document's
+ *   fullName.  Returns an object holding the document and the XML tree it
+ *   came from, for writeSvg().
+ */
+function readSvg(text, selectAll, fileName) {
+        var xml = parseXml(text);
+        var svg = elementChildren(xml).filter(function (node) { return localName(node) == "svg"; })[0];
+        var description = { fullName: fileName, layers: [] };
+        var rootLayer = { name: "Layer 1", source: svg, items: [] };
+        var document;
+        var originals = [];
+        var containers = [];
+
+        if (!svg) {
+                throw new Error("No <svg> element found");
+        }
+        elementChildren(svg).forEach(function (child) {
+                var name = localName(child);
+                if (name == "g") {
+                        description.layers.unshift(describeLayer(child, selectAll));
+                }
+                else if (name == "path") {
+                        var item = describePathElement(child, selectAll);
+                        if (item) {
+                                rootLayer.items.unshift(item);
+                        }
+                }
+        });
+        if (rootLayer.items.length > 0 || description.layers.length == 0) {
+                description.layers.push(rootLayer);
+        }
+
+        document = dom.createDocument(description);
+        document._allItems().forEach(function (item) {
+                if (item._source && localName(item._source) == "path") {
+                        originals.push({ node: item._source, data: geometryKey(describeSubpaths(item)) });
+                }
+                else if (item._source && item.typename == "GroupItem") {
+                        containers.push(item._source);
+                }
+        });
+        document._allLayers().forEach(function (layer) {
+                if (layer._source && layer._source != svg) {
+                        containers.push(layer._source);
+                }
+        });
+        return { document: document, xml: xml, svg: svg, originals: originals, containers: containers };
+}
+
+/*
+ * The subpaths of a path or compound path item, in SVG coordinates.
+ */
+function describeSubpaths(item) {
+        var paths = (item.typename == "CompoundPathItem") ? item._items : [item];
+        return flipSubpaths(paths.map(function (path) {
+                return {
+                        closed: path.closed,
+                        points: path._points.map(function (point) {
+                                return {
+                                        anchor: point.anchor,
+                                        leftDirection: point.leftDirection,
+                                        rightDirection: point.rightDirection,
+                                        pointType: point.pointType.name,
+                                        selected: point.selected == dom.PathPointSelection.ANCHORPOINT
+                                };
+                        })
+                };
+        }));
+}
+
+/*
+ * A string that changes when the geometry of subpaths changes, but not their
+ * selection.
+ */
+function geometryKey(subpaths) {
+        return JSON.stringify(subpaths.map(function (subpath) {
+                return [subpath.closed, subpath.points.map(function (point) {
+                        return [point.anchor, point.leftDirection, point.rightDirection, point.pointType];
+                })];
+        }));
+}
+
+function colorToHex(color) {
+        var rgb = [0, 0, 0];
+        if (color == null || color.typename == "NoColor") {
+                return "none";
+        }
+        if (color.typename == "RGBColor") {
+                rgb = [color.red, color.green, color.blue];
+        }
+        else if (color.typename == "CMYKColor") {
+                rgb = [color.cyan, color.magenta, color.yellow].map(function (ink) {
+                        return 255 * (1 - ink / 100) * (1 - color.black / 100);
+                });
+        }
+        else if (color.typename == "GrayColor") {
+                rgb = [0, 0, 0].map(function () { return 255 * (1 - color.gray / 100); });
+        }
+        return "#" + rgb.map(function (value) {
+                return ("0" + Math.round(value).toString(16)).slice(-2);
+        }).join("");
+}
+
+function writePathElement(item, node, original, precision) {
+        var subpaths = describeSubpaths(item);
+        var selected = [];
+        var index = 0;
+
+        if (original == null || original.data != geometryKey(subpaths)) {
+                setAttribute(node, "d", formatPathData(subpaths, precision));
+        }
+        subpaths.forEach(function (subpath) {
+                subpath.points.forEach(function (point) {
+                        if (point.selected) {
+                                selected.push(index);
+                        }
+                        index++;
+                });
+        });
+        if (selected.length > 0) {
+                if (getAttribute(node, "data-selected-points") != selected.join(" ")) {
+                        setAttribute(node, "data-selected-points", selected.join(" "));
+                }
+        }
+        else if (getAttribute(node, "data-selected-points") != null) {
+                removeAttribute(node, "data-selected-points");
+        }
+}
+
+/*
+ * Append an element to a parent, indented one level deeper than the parent
+ * and ahead of any whitespace before the parent's closing tag.
+ */
+function appendElement(parent, node) {
+        var indent = "\n";
+        var current = parent;
+        var last = parent.children[parent.children.length - 1];
+        while (current.parent && current.parent.type == "element") {
+                indent += "  ";
+                current = current.parent;
+        }
+        node.parent = parent;
+        if (last && last.type == "raw" && /^\s*$/.test(last.text)) {
+                parent.children.splice(parent.children.length - 1, 0,
+                                       { type: "raw", text: indent + "  ", parent: parent }, node);
+        }
+        else {
+                parent.children.push({ type: "raw", text: indent + "  ", parent: parent }, node,
+                                     { type: "raw", text: indent, parent: parent });
+        }
+}
+
+/*
+ * Remove an element from its parent, with the whitespace indenting it.
+ */
+function removeElement(node) {
+        var siblings = node.parent.children;
+        var index = siblings.indexOf(node);
+        var previous = siblings[index - 1];
+
+        if (previous && previous.type == "raw" && /^\s*$/.test(previous.text)) {
+                siblings.splice(index - 1, 2);
+        }
+        else {
+                siblings.splice(index, 1);
+        }
+}
+
+/*
+ * Create the element for an item or layer added by a script.
+ */
+function createItemElement(item, parent) {
+        var node;
+        if (item.typename == "Layer" || item.typename == "GroupItem") {
+                node = createElement(parent, "g", { "data-name": item.name || item.typename });
+        }
+        else {
+                node = createElement(parent, "path", {
+                        d: "",
+                        fill: item.filled ? colorToHex(item.fillColor) : "none",
+                        stroke: item.stroked ? colorToHex(item.strokeColor) : "none"
+                });
+                if (item.stroked) {
+                        setAttribute(node, "stroke-width", item.strokeWidth);
+                }
+                if (item.name) {
+                        setAttribute(node, "data-name", item.name);
+                }
+                node.selfClosing = true;
+        }
+        if (item.note) {
+                setAttribute(node, "data-note", item.note);
+        }
+        if (item.locked) {
+                setAttribute(node, "data-locked", "true");
+        }
+        return node;
+}
+
+/*******************************************************************************
+ * Function: writeSvg
+ * Description:
+ *   Write a document read with readSvg() back to SVG text, after a script has
+ *   modified it.  Paths whose points changed get new path data, with numbers
+ *   rounded to precision decimals (default 3).  Path, group and layer
+ *   elements whose items were removed are removed.  Items and layers added by
+ *   the script are appended to the element of their container, on top of its
+ *   other content.
+ */
+function writeSvg(state, precision) {
+        var seen = [];
+        var originalsByNode = new Map();
+
+        state.originals.forEach(function (original) {
+                originalsByNode.set(original.node, original);
+        });
+
+        function walk(container, node) {
+                var layers = container._layers || [];
+                var items = container._items;
+                var i = 0;
+
+                /* Bottom to top, the SVG document order. */
+                for (i=layers.length-1; i>=0; i--) {
+                        var layerNode = place(layers[i], node);
+                        seen.push(layerNode);
+                        walk(layers[i], layerNode);
+                }
+                for (i=items.length-1; i>=0; i--) {
+                        var item = items[i];
+                        var itemNode = place(item, node);
+                        if (item.typename == "GroupItem") {
+                                seen.push(itemNode);
+                                walk(item, itemNode);
+                        }
+                        else {
+                                seen.push(itemNode);
+                                writePathElement(item, itemNode, originalsByNode.get(itemNode), precision);
+                        }
+                }
+        }
+        function place(item, parentNode) {
+                if (item._source) {
+                        return item._source;
+                }
+                item._source = createItemElement(item, parentNode);
+                appendElement(parentNode, item._source);
+                return item._source;
+        }
+
+        walk(state.document, state.svg);
+        state.originals.forEach(function (original) {
+                if (seen.indexOf(original.node) < 0 && original.node.parent.children.indexOf(original.node) >= 0) {
+                        removeElement(original.node);
+                }
+        });
+        state.containers.forEach(function (node) {
+                if (seen.indexOf(node) < 0 && node.parent.children.indexOf(node) >= 0) {
+                        removeElement(node);
+                }
+        });
+        return serializeXml(state.xml);
+}
+
+
+module.exports = {
+        parsePathData: parsePathData,
+        formatPathData: formatPathData,
+        arcToCubics: arcToCubics,
+        parseXml: parseXml,
+        serializeXml: serializeXml,
+        getAttribute: getAttribute,
+        setAttribute: setAttribute,
+        readSvg: readSvg,
+        writeSvg: writeSvg
+};
@@ -0,0 +1,679 @@
+#!/usr/bin/env node
+/*
+  test.js
+  Check the scripts in this folder against a few small fixtures
+
+  Purpose:
+  Run the scripts through run-jsx.js, and SVG and GeoJSON files through
+  pathclean.js, and compare what they leave (the points of each path, the
+  lines of the results, the files written) with what is expected.  Prints
+  one line per fixture and exits with status 1 if any fixture fails.
+
+  To Use:
+        node tools/test.js
+*/
+
+var path = require("path");
+var fs = require("fs");
+var os = require("os");
+var childProcess = require("child_process");
+var runJsx = require("./run-jsx");
+var pathclean = require("./pathclean");
+var dom = require("./illustrator-dom");
+
+var scriptFolder = path.resolve(__dirname, "..");
+
+/* Coordinates written by the scripts are compared to this precision. */
+var precision = 0.000001;
+
+
+/*******************************************************************************
+ * Function: runScript
+ * Description:
+ *   Run the script named by the first parameter with the run-jsx.js options
+ *   input as the second.  Returns the session, or throws the error the
+ *   script stopped on.
+ */
+function runScript(name, options) {
+        var session = runJsx.runScript(path.join(scriptFolder, name), options);
+
+        if (session.error) {
+                throw session.error;
+        }
+        return session;
+}
+
+/*******************************************************************************
+ * Function: getAnchors
+ * Description:
+ *   Return the anchors of each path of the layer named by the second
+ *   parameter, in the document of the session input as the first.
+ */
+function getAnchors(session, layerName) {
+        var layers = dom.describeDocument(session.document).layers.filter(function (layer) {
+                return layer.name == layerName;
+        });
+
+        return layers[0].items.map(function (item) {
+                return item.points.map(function (point) {
+                        return point.anchor;
+                });
+        });
+}
+
+/*******************************************************************************
+ * Function: removeRedundantPoints
+ * Description:
+ *   Run RemoveRedundantPoints.jsx on a document holding a single path, with
+ *   the points and closed state input as the first two parameters, answering
+ *   its dialog with the values input as the third.  Returns the anchors of
+ *   the path after the run.
+ */
+function removeRedundantPoints(points, closed, values) {
+        var session = runScript("RemoveRedundantPoints.jsx", {
+                document: { layers: [ { name: "Layer 1", items: [ { type: "path", closed: closed, points: points } ] } ] },
+                dialogs: [ { values: values } ]
+        });
+
+        if (session.alerts.length > 0) {
+                throw new Error("alert: " + session.alerts[0]);
+        }
+        return getAnchors(session, "Layer 1")[0];
+}
+
+/*******************************************************************************
+ * Function: withTempFolder
+ * Description:
+ *   Call the function input as the parameter with the path of a new empty
+ *   folder, which is removed afterwards.  Returns what the function returns.
+ */
+function withTempFolder(fn) {
+        var folder = fs.mkdtempSync(path.join(os.tmpdir(), "redundant-points-test-"));
+
+        try {
+                return fn(folder);
+        }
+        finally {
+                fs.rmSync(folder, { recursive: true, force: true });
+        }
+}
+
+/*******************************************************************************
+ * Function: cleanSvg
+ * Description:
+ *   Run pathclean.js with the arguments input as the first parameter on the
+ *   SVG text input as the second.  Returns the result of pathclean.run().
+ */
+function cleanSvg(args, text) {
+        var result = pathclean.run(pathclean.parseArguments(args.concat([ "-" ])), text);
+
+        if (result.alerts.length > 0) {
+                throw new Error("alert: " + result.alerts[0]);
+        }
+        return result;
+}
+
+/*******************************************************************************
+ * Function: getPathData
+ * Description:
+ *   Return the d attribute of each path in the result of cleanSvg().
+ */
+function getPathData(result) {
+        var paths = [];
+        var pattern = /\sd="([^"]*)"/g;
+        var match;
+
+        while ((match = pattern.exec(result.svg)) != null) {
+                paths.push(match[1]);
+        }
+        return paths;
+}
+
+/*******************************************************************************
+ * Function: getResultLine
+ * Description:
+ *   Return the line of results starting with the label input as the second
+ *   parameter, or null if there is none.
+ */
+function getResultLine(results, label) {
+        var lines = results.filter(function (line) {
+                return line.indexOf(label) == 0;
+        });
+
+        return (lines.length > 0) ? lines[0] : null;
+}
+
+/*******************************************************************************
+ * Function: cleanGeoJson
+ * Description:
+ *   Run pathclean.js with the arguments input as the first parameter on the
+ *   GeoJSON object input as the second.  Returns the GeoJSON object written.
+ */
+function cleanGeoJson(args, geometry) {
+        var result = pathclean.run(pathclean.parseArguments(args.concat([ "fixture.geojson" ])), JSON.stringify(geometry));
+
+        if (result.alerts.length > 0) {
+                throw new Error("alert: " + result.alerts[0]);
+        }
+        return JSON.parse(result.svg);
+}
+
+/*******************************************************************************
+ * Function: sameValue
+ * Description:
+ *   Return true if the two values are equal, comparing numbers to within the
+ *   precision and arrays element by element.
+ */
+function sameValue(actual, expected) {
+        var i = 0;
+
+        if (Array.isArray(expected)) {
+                if (!Array.isArray(actual) || actual.length != expected.length) {
+                        return false;
+                }
+                for (i=0; i<expected.length; i++) {
+                        if (!sameValue(actual[i], expected[i])) {
+                                return false;
+                        }
+                }
+                return true;
+        }
+        if (typeof expected == "number") {
+                return typeof actual == "number" && Math.abs(actual - expected) <= precision;
+        }
+        return actual === expected;
+}
+
+
+var fixtures = [
+        {
+                name: "remove: a point within the tolerance of its neighbor is averaged into it",
+                run: function () {
+                        return removeRedundantPoints([ [0, 0], [10, 0], [10.1, 0], [10, 10], [0, 10] ], true,
+                                                     { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1" });
+                },
+                expected: [ [0, 0], [10.05, 0], [10, 10], [0, 10] ]
+        },
+        {
+                name: "remove: Keep Leading Point keeps the first point of a set",
+                run: function () {
+                        return removeRedundantPoints([ [0, 0], [10, 0], [10.1, 0], [10, 10] ], false,
+                                                     { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1",
+                                                       "removalPnl.doKeepLeadingPoint": true });
+                },
+                expected: [ [0, 0], [10, 0], [10, 10] ]
+        },
+        {
+                name: "remove: points farther apart than the tolerance are kept",
+                run: function () {
+                        return removeRedundantPoints([ [0, 0], [10, 0], [12, 0], [10, 10] ], false,
+                                                     { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1" });
+                },
+                expected: [ [0, 0], [10, 0], [12, 0], [10, 10] ]
+        },
+        {
+                name: "pathclean remove --keep-leading: only the changed path is rewritten",
+                run: function () {
+                        return getPathData(cleanSvg([ "remove", "--tolerance", "1", "--keep-leading" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path id="a" d="M0 0 L10 0 L10.1 0 L10 10 Z"/>' +
+                                                    '<path id="b" d="M0 20 L5 20.01 L10 20 L20 20"/></svg>'));
+                },
+                expected: [ "M0 0 L10 0 L10 10 Z", "M0 20 L5 20.01 L10 20 L20 20" ]
+        },
+        {
+                name: "pathclean -o -: the SVG is written to stdout and the results to stderr",
+                run: function () {
+                        var output = childProcess.spawnSync(process.execPath,
+                                                            [ path.join(__dirname, "pathclean.js"), "analyze", "-", "--tolerance", "1", "-o", "-" ],
+                                                            { input: '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0 L10 0 L10.1 0 L10 10"/></svg>',
+                                                              encoding: "utf8" });
+
+                        return [ output.status, output.stdout, output.stderr.split("\n")[0] ];
+                },
+                expected: [ 0, '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0 L10 0 L10.1 0 L10 10"/></svg>', "Paths processed: 1" ]
+        },
+        {
+                name: "pathclean remove on GeoJSON: the tolerance is in map units",
+                run: function () {
+                        return cleanGeoJson([ "remove", "--tolerance", "0.01" ],
+                                            { type: "LineString", coordinates: [ [0, 0], [1, 0], [1.0001, 0], [2, 2] ] }).coordinates;
+                },
+                expected: [ [0, 0], [1.00005, 0], [2, 2] ]
+        },
+        {
+                name: "pathclean remove on GeoJSON: a ring whose first position is removed starts at the position kept",
+                run: function () {
+                        return cleanGeoJson([ "remove", "--tolerance", "0.01" ],
+                                            { type: "Polygon", coordinates: [ [ [0, 0], [10, 0], [10, 10], [0, 10], [0, 0.001], [0, 0] ] ] }).coordinates;
+                },
+                expected: [ [ [0, 0.0005], [10, 0], [10, 10], [0, 10], [0, 0.0005] ] ]
+        },
+        {
+                name: "pathclean remove --collinear: a point on the line between its neighbors is removed",
+                run: function () {
+                        return getPathData(cleanSvg([ "remove", "--tolerance", "0.5", "--collinear" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path d="M0 0 L5 0.01 L10 0 L10 10"/></svg>'));
+                },
+                expected: [ "M0 0 L10 0 L10 10" ]
+        },
+        {
+                name: "pathclean simplify: Douglas-Peucker drops the points within the tolerance of the line",
+                run: function () {
+                        return getPathData(cleanSvg([ "simplify", "--simplify-tolerance", "1" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path d="M0 20 L5 20.01 L10 20 L20 20"/></svg>'));
+                },
+                expected: [ "M0 20 L20 20" ]
+        },
+        {
+                name: "pathclean simplify: Visvalingam-Whyatt drops the points forming small triangles",
+                run: function () {
+                        return getPathData(cleanSvg([ "simplify", "--algorithm", "visvalingam-whyatt", "--simplify-tolerance", "3" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path d="M0 0 L5 0.5 L10 0 L10 10"/></svg>'));
+                },
+                expected: [ "M0 0 L10 0 L10 10" ]
+        },
+        {
+                name: "preview: markers are drawn while the dialog is open and removed when it closes",
+                run: function () {
+                        var layersShown;
+                        var session = runScript("RemoveRedundantPoints.jsx", {
+                                document: { layers: [ { name: "Layer 1", items: [ { type: "path", points: [ [0, 0], [10, 0], [10.1, 0], [10, 10] ] } ] } ] },
+                                dialogs: [ function (window, session) {
+                                        dom.setDialogValues(window, { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1",
+                                                                      "previewPnl.doPreview": true });
+                                        layersShown = dom.describeDocument(session.document).layers.map(function (layer) {
+                                                return layer.name + ": " + layer.items.length;
+                                        });
+                                        dom.clickButton(window, "cancel");
+                                } ]
+                        });
+
+                        return [ layersShown, dom.describeDocument(session.document).layers.map(function (layer) {
+                                return layer.name;
+                        }) ];
+                },
+                expected: [ [ "Redundant Points Preview: 1", "Layer 1: 1" ], [ "Layer 1" ] ]
+        },
+        {
+                name: "annotate: each redundant point set is marked on a locked analysis layer",
+                run: function () {
+                        var session = runScript("RemoveRedundantPoints.jsx", {
+                                document: { layers: [ { name: "Layer 1", items: [ { type: "path", points: [ [0, 0], [0.1, 0], [10, 0], [10.1, 0], [20, 0] ] } ] } ] },
+                                dialogs: [ { values: { "functionPnl.doAnalyze": true, "selectionPnl.ignoreSelected": true,
+                                                       "tolerancePnl.editText": "1", "optionPnl.doAnnotate": true } } ]
+                        });
+
+                        return dom.describeDocument(session.document).layers.map(function (layer) {
+                                return [ layer.name, layer.locked === true, layer.items.length ];
+                        });
+                },
+                expected: [ [ "Redundant Points Analysis", true, 2 ], [ "Layer 1", false, 1 ] ]
+        },
+        {
+                name: "export: a CSV file with a line per path is written next to the document",
+                run: function () {
+                        return withTempFolder(function (folder) {
+                                var lines;
+
+                                runScript("RemoveRedundantPoints.jsx", {
+                                        document: { fullName: path.join(folder, "Map.ai"),
+                                                    layers: [ { name: "Roads", items: [ { type: "path", name: "A1", points: [ [0, 0], [10, 0], [10.1, 0], [10, 10] ] } ] } ] },
+                                        dialogs: [ { values: { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1",
+                                                               "exportPnl.doExportCsv": true } } ]
+                                });
+                                lines = fs.readFileSync(path.join(folder, "Map-redundant-points.csv"), "utf8").split("\n");
+                                return [ lines[0] ].concat(lines.slice(-3));
+                        });
+                },
+                expected: [ "# document: Map.ai",
+                            "name,layer,closed,pointsStarting,redundantSets,pointsToRemove,pointsRemoved,pointsRemaining",
+                            "A1,Roads,false,4,1,1,1,3",
+                            "" ]
+        },
+        {
+                name: "preferences: the dialog opens with the settings of the last run",
+                run: function () {
+                        return withTempFolder(function (folder) {
+                                var document = { layers: [ { name: "Layer 1", items: [] } ] };
+                                var session;
+
+                                runScript("RemoveRedundantPoints.jsx", {
+                                        document: document,
+                                        userData: folder,
+                                        dialogs: [ { values: { "functionPnl.doAnalyze": true, "selectionPnl.ignoreSelected": true,
+                                                               "tolerancePnl.editText": "2" } } ]
+                                });
+                                session = runScript("RemoveRedundantPoints.jsx", {
+                                        document: document,
+                                        userData: folder,
+                                        dialogs: [ { button: "cancel" } ]
+                                });
+                                return [ String(session.dialogs[0].tolerancePnl.editText.text), session.dialogs[0].functionPnl.doAnalyze.value ];
+                        });
+                },
+                expected: [ "2 pt", true ]
+        },
+        {
+                name: "presets: a saved preset sets the options when chosen",
+                run: function () {
+                        return withTempFolder(function (folder) {
+                                var document = { layers: [ { name: "Layer 1", items: [] } ] };
+                                var session;
+
+                                runScript("RemoveRedundantPoints.jsx", {
+                                        document: document,
+                                        userData: folder,
+                                        prompts: [ "Roads" ],
+                                        dialogs: [ { values: { "tolerancePnl.editText": "3", "presetPnl.saveBtn": true }, button: "cancel" } ]
+                                });
+                                session = runScript("RemoveRedundantPoints.jsx", {
+                                        document: document,
+                                        userData: folder,
+                                        dialogs: [ { values: { "tolerancePnl.editText": "1", "presetPnl.preset": "Roads" }, button: "cancel" } ]
+                                });
+                                return [ fs.readdirSync(path.join(folder, "RemoveRedundantPoints", "Presets")),
+                                         String(session.dialogs[0].tolerancePnl.editText.text) ];
+                        });
+                },
+                expected: [ [ "Roads.json" ], "3 pt" ]
+        },
+        {
+                name: "batch: each document of the source folder is saved cleaned to the output folder",
+                run: function () {
+                        return withTempFolder(function (folder) {
+                                var document = { layers: [ { name: "Layer 1", items: [ { type: "path", points: [ [0, 0], [10, 0], [10.1, 0], [10, 10] ] } ] } ] };
+
+                                fs.mkdirSync(path.join(folder, "in"));
+                                fs.writeFileSync(path.join(folder, "in", "Map.ai"), JSON.stringify(document));
+                                fs.mkdirSync(path.join(folder, "userData", "RemoveRedundantPoints"), { recursive: true });
+                                fs.writeFileSync(path.join(folder, "userData", "RemoveRedundantPoints", "Preferences.json"),
+                                                 JSON.stringify({ selectionState: "ignore", tolerance: 1 }));
+                                runScript("BatchRemoveRedundantPoints.jsx", {
+                                        userData: path.join(folder, "userData"),
+                                        dialogs: [ { values: { "sourcePnl.editText": path.join(folder, "in"),
+                                                               "outputPnl.editText": path.join(folder, "out") } } ]
+                                });
+                                document = JSON.parse(fs.readFileSync(path.join(folder, "out", "Map.ai"), "utf8"));
+                                return [ fs.readdirSync(path.join(folder, "out")).sort(),
+                                         document.layers[0].items[0].points.map(function (point) {
+                                                 return point.anchor;
+                                         }) ];
+                        });
+                },
+                expected: [ [ "Map.ai", "RemoveRedundantPoints-batch-log.txt" ], [ [0, 0], [10.05, 0], [10, 10] ] ]
+        },
+        {
+                name: "revert: the points stored by a run are put back",
+                run: function () {
+                        var session = runScript("RemoveRedundantPoints.jsx", {
+                                document: { layers: [ { name: "Layer 1", items: [ { type: "path", points: [ [0, 0], [10, 0], [10.1, 0], [10, 10] ] } ] } ] },
+                                dialogs: [ { values: { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1" } } ]
+                        });
+                        var removed = getAnchors(session, "Layer 1")[0];
+
+                        session = runScript("RevertRedundantPoints.jsx", {
+                                document: dom.describeDocument(session.document),
+                                confirms: [ true ]
+                        });
+                        return [ removed, getAnchors(session, "Layer 1")[0] ];
+                },
+                expected: [ [ [0, 0], [10.05, 0], [10, 10] ], [ [0, 0], [10, 0], [10.1, 0], [10, 10] ] ]
+        },
+        {
+                name: "revert: the original points of the last ten runs only are kept on a path",
+                run: function () {
+                        var tags = {};
+                        var session;
+                        var i = 0;
+
+                        for (i=1; i<=10; i++) {
+                                tags["RedundantPointsOriginal_" + i] = "0,0,0,0,0,0,C;10,10,10,10,10,10,C";
+                        }
+                        session = runScript("RemoveRedundantPoints.jsx", {
+                                document: { layers: [ { name: "Layer 1", items: [ { type: "path", tags: tags,
+                                                                                      points: [ [0, 0], [10, 0], [10.1, 0], [10, 10] ] } ] } ] },
+                                dialogs: [ { values: { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1" } } ]
+                        });
+                        tags = Object.keys(dom.describeDocument(session.document).layers[0].items[0].tags);
+                        return [ tags.length, tags.indexOf("RedundantPointsOriginal_1"), tags.indexOf("RedundantPointsOriginal_2") ];
+                },
+                expected: [ 10, -1, 0 ]
+        },
+        {
+                name: "pathclean remove: the results leave out the original points stored, which SVG does not keep",
+                run: function () {
+                        return getResultLine(cleanSvg([ "remove", "--tolerance", "1" ],
+                                                      '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                      '<path d="M0 0 L10 0 L10.1 0 L10 10"/></svg>').results,
+                                             "Original points of");
+                },
+                expected: null
+        },
+        {
+                name: "pathclean analyze --coincident: points meeting away from their neighbors are counted",
+                run: function () {
+                        return getResultLine(cleanSvg([ "analyze", "--tolerance", "0.5", "--coincident" ],
+                                                      '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                      '<path d="M0 0 L10 0 L10 10 L0.1 0 L-5 -5"/></svg>').results,
+                                             "Coincident point groups found:");
+                },
+                expected: "Coincident point groups found: 1"
+        },
+        {
+                name: "duplicates: a path matching another within the tolerance is deleted",
+                run: function () {
+                        var session = runScript("RemoveDuplicatePaths.jsx", {
+                                document: { layers: [ { name: "Layer 1", items: [
+                                        { type: "path", points: [ [0, 0], [10, 0], [10, 10] ] },
+                                        { type: "path", points: [ [0, 0.1], [10, 0], [10, 10] ] },
+                                        { type: "path", points: [ [50, 0], [60, 0] ] } ] } ] },
+                                dialogs: [ { values: { "tolerancePnl.editText": "1", "actionPnl.doDelete": true } } ]
+                        });
+
+                        return getAnchors(session, "Layer 1");
+                },
+                expected: [ [ [0, 0], [10, 0], [10, 10] ], [ [50, 0], [60, 0] ] ]
+        },
+        {
+                name: "pathclean join: paths whose ends meet become one path",
+                run: function () {
+                        return getPathData(cleanSvg([ "join", "--tolerance", "0.5" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path id="a" d="M0 0 L10 0"/><path id="b" d="M10.2 0 L20 5"/></svg>'));
+                },
+                expected: [ "M0 0 L10.1 0 L20 5" ]
+        },
+        {
+                name: "pathclean remove --delete-degenerate: a path left with a single point is deleted",
+                run: function () {
+                        return getPathData(cleanSvg([ "remove", "--delete-degenerate" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path d="M0 0 L10 0 L10 10"/><path d="M5 5 L5 5"/></svg>'));
+                },
+                expected: [ "M0 0 L10 0 L10 10" ]
+        },
+        {
+                name: "pathclean remove --small-loops: a small loop is cut out at the crossing",
+                run: function () {
+                        return getPathData(cleanSvg([ "remove", "--tolerance", "0.1", "--small-loops", "--loop-threshold", "25" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path d="M0 0 L10 0 L12 2 L11 -1 L9 2 L20 0"/></svg>'));
+                },
+                expected: [ "M0 0 L10 0 L10.2 0.2 L9 2 L20 0" ]
+        },
+        {
+                name: "self-intersections: the paths crossing themselves are reported",
+                run: function () {
+                        var session = runScript("FindSelfIntersections.jsx", {
+                                document: { layers: [ { name: "Layer 1", items: [
+                                        { type: "path", points: [ [0, 0], [10, 10], [10, 0], [0, 10] ] },
+                                        { type: "path", points: [ [50, 0], [60, 0] ] } ] } ] },
+                                dialogs: [ { values: { "actionPnl.doReport": true } } ]
+                        });
+
+                        return dom.dialogText(session.dialogs[1]).slice(0, 3);
+                },
+                expected: [ "Paths checked: 2", "Paths crossing themselves: 1", "Crossings found: 1" ]
+        },
+        {
+                name: "units: a tolerance entered in millimeters is converted to points",
+                run: function () {
+                        return removeRedundantPoints([ [0, 0], [10, 0], [12, 0], [10, 10] ], false,
+                                                     { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1 mm" });
+                },
+                expected: [ [0, 0], [11, 0], [10, 10] ]
+        },
+        {
+                name: "units: a length expression mixing units is evaluated",
+                run: function () {
+                        return require("../RedundantPointsCore.jsxinc").parseLength("1/72 in + 1 pt", "mm").value;
+                },
+                expected: 2
+        },
+        {
+                name: "pathclean remove --tolerance-mode stroke: the tolerance follows the stroke width",
+                run: function () {
+                        return getPathData(cleanSvg([ "remove", "--tolerance", "0.1", "--tolerance-mode", "stroke", "--stroke-tolerance", "0.5" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path stroke="black" stroke-width="4" d="M0 0 L10 0 L11.5 0 L10 10"/>' +
+                                                    '<path stroke="black" stroke-width="1" d="M0 20 L10 20 L11.5 20 L10 30"/></svg>'));
+                },
+                expected: [ "M0 0 L10.75 0 L10 10", "M0 20 L10 20 L11.5 20 L10 30" ]
+        },
+        {
+                name: "stroke widths: the width of each stroked path is recorded in a tag",
+                run: function () {
+                        var session = runScript("RecordStrokeWidths.jsx", {
+                                document: { layers: [ { name: "Layer 1", items: [ { type: "path", stroked: true, strokeWidth: 4, points: [ [0, 0], [10, 0] ] } ] } ] }
+                        });
+
+                        return dom.describeDocument(session.document).layers[0].items[0].tags.RedundantPointsStrokeWidth;
+                },
+                expected: "4"
+        },
+        {
+                name: "pathclean remove --handles: coincident points whose handles disagree are kept",
+                run: function () {
+                        var text = '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                   '<path d="M0 0 C3 5 7 5 10 0 C10 3 10.2 3 10.2 0 C13 -5 17 -5 20 0"/></svg>';
+
+                        return getPathData(cleanSvg([ "remove", "--tolerance", "1" ], text))
+                               .concat(getPathData(cleanSvg([ "remove", "--tolerance", "1", "--handles" ], text)));
+                },
+                expected: [ "M0 0 C3 5 7.1 5 10.1 0 C12.9 -5 17 -5 20 0",
+                            "M0 0 C3 5 7 5 10 0 C10 3 10.2 3 10.2 0 C13 -5 17 -5 20 0" ]
+        },
+        {
+                name: "pathclean remove --distance-rounding 0: distances are compared unrounded",
+                run: function () {
+                        var text = '<svg xmlns="http://www.w3.org/2000/svg"><path d="M0 0 L0.996 0 L10 10"/></svg>';
+
+                        return getPathData(cleanSvg([ "remove", "--tolerance", "1" ], text))
+                               .concat(getPathData(cleanSvg([ "remove", "--tolerance", "1", "--distance-rounding", "0" ], text)));
+                },
+                expected: [ "M0 0 L0.996 0 L10 10", "M0.498 0 L10 10" ]
+        },
+        {
+                name: "pathclean remove --max-deviation: a set whose removal would move the curve is kept",
+                run: function () {
+                        var result = cleanSvg([ "remove", "--tolerance", "1", "--max-deviation", "0.1" ],
+                                              '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                              '<path d="M0 0 C0 10 10 10 10 0 L10.5 0 C10.5 -10 20 -10 20 0"/></svg>');
+
+                        return getPathData(result).concat([ getResultLine(result.results, "Point sets rejected for deviation:") ]);
+                },
+                expected: [ "M0 0 C0 10 10 10 10 0 L10.5 0 C10.5 -10 20 -10 20 0", "Point sets rejected for deviation: 1" ]
+        },
+        {
+                name: "pathclean analyze --max-deviation: the sets kept are not counted or annotated as redundant",
+                run: function () {
+                        var result = cleanSvg([ "analyze", "--tolerance", "1", "--max-deviation", "0.1", "--annotate" ],
+                                              '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                              '<path d="M0 0 C0 10 10 10 10 0 L10.5 0 C10.5 -10 20 -10 20 0"/>' +
+                                              '<path d="M0 20 L10 20 L10.1 20 L20 20"/></svg>');
+
+                        return [ getResultLine(result.results, "Points with redundancy:"),
+                                 getResultLine(result.results, "Redundant points to remove:"),
+                                 result.svg.match(/data-note="Redundant path points/g).length ];
+                },
+                expected: [ "Points with redundancy: 1", "Redundant points to remove: 1", 1 ]
+        },
+        {
+                name: "preview: the sets kept for deviation are not marked",
+                run: function () {
+                        var markers = [];
+
+                        runScript("RemoveRedundantPoints.jsx", {
+                                document: { layers: [ { name: "Layer 1", items: [
+                                        { type: "path", points: [ { anchor: [0, 0], rightDirection: [0, 10] },
+                                                                  { anchor: [10, 0], leftDirection: [10, 10] },
+                                                                  { anchor: [10.5, 0], rightDirection: [10.5, -10] },
+                                                                  { anchor: [20, 0], leftDirection: [20, -10] } ] },
+                                        { type: "path", points: [ [0, 20], [10, 20], [10.1, 20], [20, 20] ] } ] } ] },
+                                dialogs: [ function (window, session) {
+                                        dom.setDialogValues(window, { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1",
+                                                                      "previewPnl.doPreview": true });
+                                        markers.push(session.document.layers[0].pathItems.length);
+                                        dom.setDialogValues(window, { "advancedPnl.fields.deviationPnl.doLimit": true,
+                                                                      "advancedPnl.fields.deviationPnl.editText": "0.1" });
+                                        markers.push(session.document.layers[0].pathItems.length);
+                                        dom.clickButton(window, "cancel");
+                                } ]
+                        });
+                        return markers;
+                },
+                expected: [ 2, 1 ]
+        },
+        {
+                name: "pathclean remove --refit: the handles left are fitted to the original curve",
+                run: function () {
+                        return getPathData(cleanSvg([ "remove", "--tolerance", "1", "--keep-leading", "--refit" ],
+                                                    '<svg xmlns="http://www.w3.org/2000/svg">' +
+                                                    '<path d="M0 0 C0 10 10 10 10 0 L10.5 0 C10.5 -10 20 -10 20 0"/></svg>'));
+                },
+                expected: [ "M0 0 C0 10 10 10 10 0 C10 -8.569 20 -11.147 20 0" ]
+        },
+        {
+                name: "remove: an open path whose ends meet keeps both ends",
+                run: function () {
+                        return removeRedundantPoints([ [0, 0], [10, 0], [10, 10], [0, 10], [0, 0] ], false,
+                                                     { "selectionPnl.ignoreSelected": true, "tolerancePnl.editText": "1" });
+                },
+                expected: [ [0, 0], [10, 0], [10, 10], [0, 10], [0, 0] ]
+        }
+];
+
+
+function main() {
+        var failed = 0;
+
+        fixtures.forEach(function (fixture) {
+                var actual;
+
+                try {
+                        actual = fixture.run();
+                }
+                catch (er) {
+                        actual = er;
+                }
+                if (!(actual instanceof Error) && sameValue(actual, fixture.expected)) {
+                        process.stdout.write("ok      " + fixture.name + "\n");
+                        return;
+                }
+                failed++;
+                process.stdout.write("FAILED  " + fixture.name + "\n" +
+                                     "        expected " + JSON.stringify(fixture.expected) + "\n" +
+                                     "        got      " + ((actual instanceof Error) ? actual.message : JSON.stringify(actual)) + "\n");
+        });
+        process.stdout.write(fixtures.length - failed + " of " + fixtures.length + " fixtures passed\n");
+        return (failed > 0) ? 1 : 0;
+}
+
+
+if (require.main === module) {
+        process.exitCode = main();
+}